@@ -55,14 +55,18 @@ function generateDeletionToken() {
 
 /**
  * Clean expired entries from stores
+ * Zamanlanmış 'purge-expired-otps' işi tarafından çağrılır
+ * @param {number} now - Epoch ms, defaults to Date.now()
+ * @returns {{ otps: number, deletionTokens: number }} - Deleted entry counts
  */
-function cleanupExpiredEntries() {
-  const now = Date.now();
-  
+export function cleanupExpiredEntries(now = Date.now()) {
+  const deleted = { otps: 0, deletionTokens: 0 };
+
   // Clean OTP store
   for (const [key, value] of otpStore.entries()) {
     if (value.expiresAt < now) {
       otpStore.delete(key);
+      deleted.otps++;
     }
   }
   
@@ -70,12 +74,12 @@ function cleanupExpiredEntries() {
   for (const [key, value] of deletionTokenStore.entries()) {
     if (value.expiresAt < now) {
       deletionTokenStore.delete(key);
+      deleted.deletionTokens++;
     }
   }
-}
 
-// Run cleanup every 5 minutes
-setInterval(cleanupExpiredEntries, 5 * 60 * 1000);
+  return deleted;
+}
 
 /**
  * Initialize Appwrite Admin Client
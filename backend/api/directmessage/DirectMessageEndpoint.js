@@ -3,9 +3,19 @@
 import express from 'express';
 import AppwriteService from '../../services/appwrite/AppwriteService.js';
 import authenticateUser from '../../middleware/authenticateUser.js';
+import dialogService from '../../modules/dialog/dialogService.js';
 
 const router = express.Router();
 
+// Servis hata mesajlarını HTTP durum koduna çevirir
+const getMessageErrorStatus = (err) => {
+  const message = err.message || '';
+  if (message.includes('not found')) return 404;
+  if (message.includes('forbidden') || message.includes('unauthorized')) return 403;
+  if (message.includes('required') || message.includes('Invalid') || message.includes('too long')) return 400;
+  return 500;
+};
+
 /**
  * Send a direct message
  * POST /api/directmessage/send
@@ -204,14 +214,39 @@ router.put('/read', authenticateUser, async (req, res) => {
       });
     }
 
-    // Get AppwriteService instance
-    const appwriteService = AppwriteService.getInstance();
+    // Okuma imleci dialog başına tutulur; messageIds verilirse en yenisine ilerletilir
+    let dialogId = conversationId;
+    let lastMessageId = null;
+
+    if (Array.isArray(messageIds) && messageIds.length > 0) {
+      const appwriteService = AppwriteService.getInstance();
+      const messages = await Promise.all(messageIds.map(messageId =>
+        appwriteService.getDocument(jwtToken, process.env.DB_COLLECTION_MESSAGES_ID, messageId)
+      ));
+
+      const dialogIds = new Set(messages.map(message => message.dialogId));
+      if (dialogIds.size > 1 || (dialogId && !dialogIds.has(dialogId))) {
+        return res.status(400).json({
+          success: false,
+          code: 400,
+          message: 'messageIds must belong to a single conversation',
+          requestId
+        });
+      }
 
-    // Mark as read
-    const result = await appwriteService.markMessagesAsRead(
+      dialogId = dialogId || messages[0].dialogId;
+      lastMessageId = messages
+        .reduce((latest, message) => new Date(message.$createdAt) > new Date(latest.$createdAt) ? message : latest)
+        .$id;
+    }
+
+    const result = await dialogService.markDialogRead(
       jwtToken,
-      requestedUser.$id,
-      { messageIds, conversationId }
+      requestedUser,
+      dialogId,
+      lastMessageId,
+      requestId,
+      log
     );
 
     const duration = Date.now() - startTime;
@@ -229,9 +264,15 @@ router.put('/read', authenticateUser, async (req, res) => {
     const duration = Date.now() - startTime;
     error(`Failed to mark messages as read: ${err.message}`, err);
 
-    return res.status(500).json({
+    // Appwrite 404'ü (silinmiş dialog veya mesaj) mesajda "not found" geçmeden gelir
+    const statusCode = err.message.includes('unauthorized') ? 403
+      : err.code === 404 || err.message.includes('not found') ? 404
+        : err.message.includes('parameter') ? 400
+          : 500;
+
+    return res.status(statusCode).json({
       success: false,
-      code: 500,
+      code: statusCode,
       message: err.message,
       requestId,
       duration
@@ -241,10 +282,11 @@ router.put('/read', authenticateUser, async (req, res) => {
 
 /**
  * Delete a message
- * DELETE /api/directmessage/:messageId
+ * DELETE /api/directmessage/:messageId?scope=me|everyone
  */
 router.delete('/:messageId', authenticateUser, async (req, res) => {
   const { messageId } = req.params;
+  const scope = req.query.scope || req.body?.scope || 'me';
   const { jwtToken, requestedUser, requestId, log, error } = req;
   const startTime = Date.now();
 
@@ -266,7 +308,8 @@ router.delete('/:messageId', authenticateUser, async (req, res) => {
     const result = await appwriteService.deleteMessage(
       jwtToken,
       requestedUser.$id,
-      messageId
+      messageId,
+      scope
     );
 
     const duration = Date.now() - startTime;
@@ -284,9 +327,11 @@ router.delete('/:messageId', authenticateUser, async (req, res) => {
     const duration = Date.now() - startTime;
     error(`Failed to delete message: ${err.message}`, err);
 
-    return res.status(500).json({
+    const statusCode = getMessageErrorStatus(err);
+
+    return res.status(statusCode).json({
       success: false,
-      code: 500,
+      code: statusCode,
       message: err.message,
       requestId,
       duration
@@ -403,7 +448,7 @@ router.post('/search', authenticateUser, async (req, res) => {
  */
 router.put('/:messageId', authenticateUser, async (req, res) => {
   const { messageId } = req.params;
-  const { message, metadata } = req.body;
+  const { message } = req.body;
   const { jwtToken, requestedUser, requestId, log, error } = req;
   const startTime = Date.now();
 
@@ -432,11 +477,11 @@ router.put('/:messageId', authenticateUser, async (req, res) => {
     const appwriteService = AppwriteService.getInstance();
 
     // Update message
-    const result = await appwriteService.updateMessage(
+    const result = await appwriteService.editMessage(
       jwtToken,
       requestedUser.$id,
       messageId,
-      { message, metadata, editedAt: new Date().toISOString() }
+      message
     );
 
     const duration = Date.now() - startTime;
@@ -454,9 +499,11 @@ router.put('/:messageId', authenticateUser, async (req, res) => {
     const duration = Date.now() - startTime;
     error(`Failed to update message: ${err.message}`, err);
 
-    return res.status(500).json({
+    const statusCode = getMessageErrorStatus(err);
+
+    return res.status(statusCode).json({
       success: false,
-      code: 500,
+      code: statusCode,
       message: err.message,
       requestId,
       duration
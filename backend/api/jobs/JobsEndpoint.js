@@ -0,0 +1,83 @@
+import express from 'express';
+import crypto from 'crypto';
+import jobScheduler from '../../services/scheduler/index.js';
+
+const router = express.Router();
+
+/**
+ * Operasyon amaçlı iş yönetimi. Kullanıcı JWT'si yerine JOBS_ADMIN_KEY ile korunur;
+ * anahtar tanımlı değilse endpoint'ler hiç yokmuş gibi 404 döner.
+ */
+function requireJobsKey(req, res, next) {
+  const expectedKey = process.env.JOBS_ADMIN_KEY;
+  if (!expectedKey) {
+    return res.status(404).json({ success: false, code: 404, message: 'Not found' });
+  }
+
+  const providedKey = String(req.headers['x-jobs-key'] || '');
+  const expected = Buffer.from(expectedKey);
+  const provided = Buffer.from(providedKey);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ success: false, code: 401, message: 'Invalid jobs key' });
+  }
+
+  next();
+}
+
+router.use(requireJobsKey);
+
+/**
+ * List registered jobs with their next run and last result
+ * GET /internal/jobs
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    code: 200,
+    data: { jobs: jobScheduler.getJobs() },
+    requestId: req.requestId
+  });
+});
+
+/**
+ * Run history of a job (newest first)
+ * GET /internal/jobs/:name/history
+ */
+router.get('/:name/history', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      code: 200,
+      data: { history: jobScheduler.getHistory(req.params.name) },
+      requestId: req.requestId
+    });
+  } catch (err) {
+    res.status(404).json({ success: false, code: 404, message: err.message, requestId: req.requestId });
+  }
+});
+
+/**
+ * Trigger a job manually and wait for it to finish
+ * POST /internal/jobs/:name/run
+ */
+router.post('/:name/run', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const run = await jobScheduler.trigger(req.params.name);
+    const statusCode = run.status === 'skipped' ? 409 : 200;
+
+    res.status(statusCode).json({
+      success: run.status === 'success',
+      code: statusCode,
+      data: run,
+      requestId: req.requestId,
+      duration: Date.now() - startTime
+    });
+  } catch (err) {
+    res.status(404).json({ success: false, code: 404, message: err.message, requestId: req.requestId });
+  }
+});
+
+export default router;
@@ -2,6 +2,134 @@ import dialogService from './dialogService.js';
 
 class DialogController {
 
+  async markRead(req, res) {
+    const { startTime, requestId, jwtToken, requestedUser } = req;
+    const log = (message) => console.log(message);
+    const error = (message, err) => console.error(message, err);
+
+    try {
+      log(`[${requestId}] markRead request started`);
+      const { dialogId, messageId } = req.body;
+
+      log(`[${requestId}] Request params: dialogId=${dialogId}, messageId=${messageId || 'latest'}, requesterId=${requestedUser.$id}`);
+      const result = await dialogService.markDialogRead(
+        jwtToken,
+        requestedUser,
+        dialogId,
+        messageId || null,
+        requestId,
+        log
+      );
+
+      const duration = Date.now() - startTime;
+      log(`[${requestId}] markRead completed successfully in ${duration}ms`);
+
+      return res.status(200).json({
+        success: true,
+        code: 200,
+        message: 'Read cursor updated successfully',
+        data: result,
+        requestId: requestId,
+        duration: duration
+      });
+
+    } catch (serviceError) {
+      const duration = Date.now() - startTime;
+      error(`[${requestId}] markRead failed after ${duration}ms:`, serviceError);
+      log(`[${requestId}] ERROR Details: ${serviceError.message}`);
+
+      let statusCode = 500;
+      let errorType = 'processing_error';
+      let errorMessage = serviceError.message || 'Unknown error';
+
+      if (errorMessage.includes('parameter')) {
+        statusCode = 400;
+        errorType = 'general_argument_invalid';
+      } else if (errorMessage.includes('unauthorized') ||
+        errorMessage.includes('JWT validation failed') ||
+        errorMessage.includes('token')) {
+        statusCode = 401;
+        errorType = 'general_unauthorized';
+      } else if (errorMessage.includes('not found')) {
+        statusCode = 404;
+        errorType = 'general_not_found';
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        code: statusCode,
+        type: errorType,
+        message: errorMessage,
+        requestId: requestId,
+        duration: duration
+      });
+    }
+  }
+
+  async getDialogs(req, res) {
+    const { startTime, requestId, jwtToken, requestedUser } = req;
+    const log = (message) => console.log(message);
+    const error = (message, err) => console.error(message, err);
+
+    try {
+      log(`[${requestId}] getDialogs request started`);
+      const { limit = 20, cursor, updatedSince } = req.query;
+      const parsedLimit = parseInt(limit);
+
+      if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+        throw new Error('limit parameter must be between 1 and 100');
+      }
+
+      const result = await dialogService.getDialogs(
+        jwtToken,
+        requestedUser,
+        { limit: parsedLimit, cursor: cursor || null, updatedSince: updatedSince || null },
+        requestId,
+        log
+      );
+
+      const duration = Date.now() - startTime;
+      log(`[${requestId}] getDialogs completed successfully in ${duration}ms`);
+
+      return res.status(200).json({
+        success: true,
+        code: 200,
+        message: 'Dialogs retrieved successfully',
+        data: result,
+        requestId: requestId,
+        duration: duration
+      });
+
+    } catch (serviceError) {
+      const duration = Date.now() - startTime;
+      error(`[${requestId}] getDialogs failed after ${duration}ms:`, serviceError);
+      log(`[${requestId}] ERROR Details: ${serviceError.message}`);
+
+      let statusCode = 500;
+      let errorType = 'processing_error';
+      let errorMessage = serviceError.message || 'Unknown error';
+
+      if (errorMessage.includes('parameter')) {
+        statusCode = 400;
+        errorType = 'general_argument_invalid';
+      } else if (errorMessage.includes('unauthorized') ||
+        errorMessage.includes('JWT validation failed') ||
+        errorMessage.includes('token')) {
+        statusCode = 401;
+        errorType = 'general_unauthorized';
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        code: statusCode,
+        type: errorType,
+        message: errorMessage,
+        requestId: requestId,
+        duration: duration
+      });
+    }
+  }
+
   async initDialog(req, res) {
     const { startTime, requestId, jwtToken, requestedUser } = req;
     const log = (message) => console.log(message);
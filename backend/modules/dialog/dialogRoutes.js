@@ -4,9 +4,11 @@ import { createDirectDialogValidation, initDialogValidation } from './dialogVali
 
 const router = express.Router();
 
+router.get('/dialogs', dialogController.getDialogs);
 router.post('/dialogs/init', initDialogValidation, dialogController.initDialog);
 router.post('/dialogs/direct', createDirectDialogValidation, dialogController.createDirectDialog);
 router.post('/dialogs/delete', dialogController.deleteDialog);
 router.post('/dialogs/allow-media', dialogController.allowMedia);
+router.post('/dialogs/read', dialogController.markRead);
 
 export default router;
\ No newline at end of file
@@ -2,10 +2,15 @@ import AppwriteService from '../../services/appwrite/AppwriteService.js';
 import profileService from '../profile/profileService.js';
 import crypto from 'crypto';
 import { generateDocumentId } from '#id-generator';
+import { encodeCursor, decodeCursor } from '../../utils/cursorUtils.js';
 
 const { createQuery } = AppwriteService;
 const Query = createQuery();
 
+const DIALOG_PREVIEW_MAX_LENGTH = 120;
+// Son görünür mesaj aranırken "benden sil" yapılmış mesajlar için taranan mesaj sayısı
+const DELETED_FOR_ME_SCAN = 25;
+
 class DialogService {
 
   async initDialog(userId, occupantId, jwtToken, requestedUserId, requestId, log) {
@@ -155,6 +160,314 @@ class DialogService {
     }
   }
 
+  // Okuma imlecini ileri taşır; imleç geri gitmez, gizlilik ayarı karşı tarafın görüp görmeyeceğini belirler
+  async markDialogRead(jwtToken, requestedUser, dialogId, messageId, requestId, log) {
+    try {
+      const userId = requestedUser.$id;
+      if (!dialogId) {
+        throw new Error('dialogId parameter is required');
+      }
+
+      const appwriteService = AppwriteService.getInstance();
+      const dialog = await appwriteService.getDocument(
+        jwtToken,
+        process.env.DB_COLLECTION_DIALOGS_ID,
+        dialogId
+      ).catch(err => {
+        if (err.code === 404) throw new Error(`Dialog not found: ${dialogId}`);
+        throw err;
+      });
+
+      const occupantId = (dialog.occupantIds || []).find(id => id !== userId);
+      if (!(dialog.occupantIds || []).includes(userId) || !occupantId) {
+        throw new Error('unauthorized: User is not a participant of the dialog');
+      }
+
+      // messageId verilmezse dialogdaki en son mesaja kadar okunmuş sayılır
+      let message;
+      if (messageId) {
+        message = await appwriteService.getDocument(
+          jwtToken,
+          process.env.DB_COLLECTION_MESSAGES_ID,
+          messageId
+        ).catch(err => {
+          if (err.code === 404) throw new Error(`Message not found: ${messageId}`);
+          throw err;
+        });
+        if (message.dialogId !== dialogId) {
+          throw new Error('messageId parameter does not belong to the dialog');
+        }
+        // "Benden sil" yapılmış mesaj bu kullanıcı için yok sayılır
+        if ((message.deletedForIds || []).includes(userId)) {
+          throw new Error(`Message not found: ${messageId}`);
+        }
+      } else {
+        const latest = await appwriteService.listDocuments(
+          jwtToken,
+          process.env.DB_COLLECTION_MESSAGES_ID,
+          [
+            Query.equal('dialogId', dialogId),
+            Query.orderDesc('$createdAt'),
+            Query.limit(DELETED_FOR_ME_SCAN)
+          ]
+        );
+        message = latest.documents.find(doc => !(doc.deletedForIds || []).includes(userId));
+      }
+
+      const cursorId = generateDocumentId('read', userId, occupantId);
+      const existingCursor = await appwriteService.getDocument(
+        jwtToken,
+        process.env.DB_COLLECTION_DIALOG_READS_ID,
+        cursorId
+      ).catch(err => err.code === 404 ? null : Promise.reject(err));
+
+      const receiptsHidden = !!requestedUser.prefs?.hideReadReceipts;
+      const isForward = message && (!existingCursor?.lastReadMessageCreatedAt ||
+        new Date(message.$createdAt) > new Date(existingCursor.lastReadMessageCreatedAt));
+      const visibilityChanged = existingCursor && existingCursor.receiptsHidden !== receiptsHidden;
+
+      let cursor = existingCursor;
+      if (isForward || visibilityChanged) {
+        const readAt = new Date().toISOString();
+        cursor = await appwriteService.upsertDocumentWithAdminPrivileges(
+          jwtToken,
+          userId,
+          process.env.DB_COLLECTION_DIALOG_READS_ID,
+          cursorId,
+          {
+            dialogId,
+            readerId: userId,
+            occupantId,
+            lastReadMessageId: isForward ? message.$id : existingCursor.lastReadMessageId,
+            lastReadMessageCreatedAt: isForward ? message.$createdAt : existingCursor.lastReadMessageCreatedAt,
+            readAt: isForward ? readAt : existingCursor.readAt,
+            receiptsHidden
+          },
+          // Gizli modda karşı tarafın okuma yetkisi kaldırılır
+          receiptsHidden ? [] : [{ userId: occupantId, permissions: ['read'] }]
+        );
+        log(`[${requestId}] Read cursor ${isForward ? 'advanced' : 'visibility updated'} for ${userId} in ${dialogId}`);
+      } else {
+        log(`[${requestId}] Read cursor unchanged for ${userId} in ${dialogId}`);
+      }
+
+      const unreadCount = await this.getDialogUnreadCount(jwtToken, dialog, userId, cursor, requestId, log);
+
+      return {
+        dialogId,
+        lastReadMessageId: cursor?.lastReadMessageId || null,
+        readAt: cursor?.readAt || null,
+        receiptsHidden,
+        unreadCount
+      };
+
+    } catch (error) {
+      log(`[${requestId}] ERROR in markDialogRead: ${error.message}`);
+
+      if (error.message.includes('parameter') || error.message.includes('not found') || error.message.includes('unauthorized')) {
+        throw error;
+      }
+      throw new Error(`Failed to update read cursor: ${error.message}`);
+    }
+  }
+
+  // Kullanıcının dialog'ları, updatedAt'e göre yeniden eskiye
+  async getDialogs(jwtToken, requestedUser, filters, requestId, log) {
+    try {
+      const operationStart = Date.now();
+      const syncedAt = new Date().toISOString();
+      const userId = requestedUser.$id;
+      const { limit = 20, cursor = null, updatedSince = null } = filters;
+      log(`[${requestId}] Starting getDialogs for user: ${userId}, limit=${limit}, cursor=${cursor ? 'yes' : 'none'}, updatedSince=${updatedSince || 'none'}`);
+
+      const decodedCursor = decodeCursor(cursor);
+      if (updatedSince && isNaN(new Date(updatedSince).getTime())) {
+        throw new Error('updatedSince parameter must be a valid date');
+      }
+
+      const appwriteService = AppwriteService.getInstance();
+      const dialogFilters = [
+        Query.contains('occupantIds', userId),
+        Query.orderDesc('updatedAt'),
+        Query.limit(limit)
+      ];
+      if (updatedSince) {
+        dialogFilters.push(Query.greaterThan('updatedAt', new Date(updatedSince).toISOString()));
+      }
+      if (decodedCursor?.after) {
+        dialogFilters.push(Query.cursorAfter(decodedCursor.after));
+      }
+
+      const dialogs = await appwriteService.listDocuments(
+        jwtToken,
+        process.env.DB_COLLECTION_DIALOGS_ID,
+        dialogFilters
+      );
+
+      const occupantIds = [...new Set(dialogs.documents.map(dialog =>
+        (dialog.occupantIds || []).find(id => id !== userId)
+      ).filter(Boolean))];
+
+      // Kendi imleçlerim ve karşı tarafın (görünür) imleçleri tek sorguda
+      const cursorIds = occupantIds.flatMap(occupantId => [
+        generateDocumentId('read', userId, occupantId),
+        generateDocumentId('read', occupantId, userId)
+      ]);
+
+      const [profiles, coverMediaByUserId, readCursors] = await Promise.all([
+        occupantIds.length > 0
+          ? appwriteService.listDocuments(
+            jwtToken,
+            process.env.DB_COLLECTION_PROFILES_ID,
+            [Query.equal('$id', occupantIds), Query.limit(occupantIds.length)]
+          )
+          : { documents: [] },
+        profileService.getCoverMediaByUserIds(jwtToken, occupantIds),
+        cursorIds.length > 0
+          ? appwriteService.listDocuments(
+            jwtToken,
+            process.env.DB_COLLECTION_DIALOG_READS_ID,
+            [Query.equal('$id', cursorIds), Query.limit(cursorIds.length)]
+          ).catch(err => {
+            log(`[${requestId}] Failed to load read cursors: ${err.message}`);
+            return { documents: [] };
+          })
+          : { documents: [] }
+      ]);
+
+      const profilesById = new Map(profiles.documents.map(profile => [profile.$id, profile]));
+      const cursorsById = new Map(readCursors.documents.map(readCursor => [readCursor.$id, readCursor]));
+
+      const unreadCounts = await Promise.all(dialogs.documents.map(dialog => {
+        const occupantId = (dialog.occupantIds || []).find(id => id !== userId);
+        const myCursor = occupantId ? cursorsById.get(generateDocumentId('read', userId, occupantId)) : null;
+        return this.getDialogUnreadCount(jwtToken, dialog, userId, myCursor, requestId, log);
+      }));
+
+      // Okundu bilgisini gizleyen kullanıcı karşı tarafınkini de göremez
+      const viewerHidesReceipts = !!requestedUser.prefs?.hideReadReceipts;
+
+      const items = dialogs.documents.map((dialog, index) => {
+        const occupantId = (dialog.occupantIds || []).find(id => id !== userId) || null;
+        const profile = profilesById.get(occupantId);
+        // Kapak, profil medyasında displayOrder'a göre ilk fotoğrafın thumbnail'ıdır
+        const coverMedia = coverMediaByUserId.get(occupantId);
+        const mediaAllowedIds = dialog.mediaAllowedIds || [];
+        const blockedIds = dialog.blockedIds || [];
+        // "Benden sil" sonrası bu kullanıcıya özel önizleme varsa o gösterilir
+        const previewOverride = this.getPreviewOverride(dialog, userId);
+        const lastMessage = (previewOverride ? previewOverride.lastMessage : dialog.lastMessage) || '';
+        const occupantCursor = occupantId ? cursorsById.get(generateDocumentId('read', occupantId, userId)) : null;
+
+        return {
+          dialogId: dialog.$id,
+          matchId: dialog.matchId || null,
+          updatedAt: dialog.updatedAt,
+          occupant: {
+            $id: occupantId,
+            username: profile?.username || null,
+            photoUrl: coverMedia ? (coverMedia.thumbnailUrl || coverMedia.url) : null,
+            photoBlurHash: coverMedia?.blurHash || null,
+            exists: !!profile
+          },
+          lastMessagePreview: lastMessage
+            ? (lastMessage.length > DIALOG_PREVIEW_MAX_LENGTH ? `${lastMessage.substring(0, DIALOG_PREVIEW_MAX_LENGTH)}…` : lastMessage)
+            : null,
+          lastMessageSenderId: (previewOverride ? previewOverride.lastMessageSenderId : dialog.lastMessageSenderId) || null,
+          unreadCount: unreadCounts[index],
+          occupantReadReceipt: occupantCursor && !occupantCursor.receiptsHidden && !viewerHidesReceipts
+            ? { lastReadMessageId: occupantCursor.lastReadMessageId, readAt: occupantCursor.readAt }
+            : null,
+          mediaAllowedIds,
+          mediaAllowed: {
+            byMe: mediaAllowedIds.includes(userId),
+            byOccupant: occupantId ? mediaAllowedIds.includes(occupantId) : false
+          },
+          blocked: {
+            isBlocked: blockedIds.length > 0,
+            byMe: occupantId ? blockedIds.includes(occupantId) : false,
+            byOccupant: blockedIds.includes(userId)
+          }
+        };
+      });
+
+      const lastDialog = dialogs.documents[dialogs.documents.length - 1];
+      const hasMore = dialogs.documents.length === limit;
+
+      log(`[${requestId}] getDialogs completed in ${Date.now() - operationStart}ms, returned ${items.length} dialogs`);
+
+      return {
+        dialogs: items,
+        total: dialogs.total,
+        hasMore,
+        nextCursor: hasMore && lastDialog ? encodeCursor({ after: lastDialog.$id }) : null,
+        // Client bir sonraki artımlı senkronizasyonda bunu updatedSince olarak gönderir
+        syncedAt
+      };
+
+    } catch (error) {
+      log(`[${requestId}] ERROR in getDialogs: ${error.message}`);
+
+      if (error.message.includes('parameter')) {
+        throw error;
+      }
+      throw new Error(`Failed to get dialogs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Okuma imlecinden sonra karşı taraftan gelen mesaj sayısı; sadece total okunur, mesajlar taranmaz.
+   * İmleç yoksa dialogdaki tüm gelen mesajlar okunmamıştır.
+   */
+  getPreviewOverride(dialog, userId) {
+    for (const override of dialog.lastMessageOverrides || []) {
+      try {
+        const parsed = JSON.parse(override);
+        if (parsed?.userId === userId) return parsed;
+      } catch (error) {
+        // Bozuk kayıt önizlemeyi engellemesin
+      }
+    }
+    return null;
+  }
+
+  async getDialogUnreadCount(jwtToken, dialog, userId, readCursor, requestId, log) {
+    if (!dialog.lastMessage) {
+      return 0;
+    }
+
+    try {
+      const appwriteService = AppwriteService.getInstance();
+      const receivedFilters = [
+        Query.equal('dialogId', dialog.$id),
+        Query.equal('receiverId', userId),
+        Query.limit(1)
+      ];
+      if (readCursor?.lastReadMessageCreatedAt) {
+        receivedFilters.push(Query.greaterThan('$createdAt', readCursor.lastReadMessageCreatedAt));
+      }
+
+      // SDK'da notContains yok; "benden sil" yapılmış mesajlar ayrı sayılıp düşülür
+      const [received, hidden] = await Promise.all([
+        appwriteService.listDocuments(
+          jwtToken,
+          process.env.DB_COLLECTION_MESSAGES_ID,
+          receivedFilters
+        ),
+        appwriteService.listDocuments(
+          jwtToken,
+          process.env.DB_COLLECTION_MESSAGES_ID,
+          [...receivedFilters, Query.contains('deletedForIds', userId)]
+        )
+      ]);
+      return Math.max(0, received.total - hidden.total);
+    } catch (error) {
+      // Sayaç listeyi bozmasın
+      log(`[${requestId}] Failed to get unread count for dialog ${dialog.$id}: ${error.message}`);
+      return 0;
+    }
+  }
+
   async hasAnyBlockage(jwtToken, senderId, receiverId, requestId, log) {
     try {
       log(`[${requestId}] Checking blockages between ${senderId} and ${receiverId}`);
@@ -9,31 +9,119 @@ class ExploreController {
 
     try {
       log(`[${requestId}] Get cards request started`);
-      const { limit = 10, offset = 0 } = req.query;
+      const { limit = 10, cursor, sort, debug, verifiedOnly } = req.query;
 
-      log(`[${requestId}] Request params: userId=${requestedUser.$id}, limit=${limit}, offset=${offset}`);
+      // Skor detayı production'da sadece EXPLORE_RANKING_DEBUG açıkken verilir
+      const debugAllowed = process.env.NODE_ENV !== 'production' || process.env.EXPLORE_RANKING_DEBUG === 'true';
+
+      log(`[${requestId}] Request params: userId=${requestedUser.$id}, limit=${limit}, cursor=${cursor ? 'yes' : 'none'}, sort=${sort || 'default'}`);
       const result = await exploreService.getSwipeCards(
         requestedUser,
         jwtToken,
         {
           limit: parseInt(limit),
-          offset: parseInt(offset)
+          cursor: cursor || null,
+          verifiedOnly: verifiedOnly === undefined ? null : verifiedOnly === 'true'
         },
         requestId,
-        log
+        log,
+        {
+          sortByDistance: sort === 'distance',
+          includeScoreBreakdown: debugAllowed && debug === 'true'
+        }
       );
 
       const duration = Date.now() - startTime;
-      log(`[${requestId}] Request completed successfully in ${duration}ms, returned ${result.length} cards`);
+      log(`[${requestId}] Request completed successfully in ${duration}ms, returned ${result.cards.length} cards`);
 
       return res.status(200).json({
         success: true,
         code: 200,
         message: 'Cards retrieved successfully',
         data: {
-          cards: result,
-          count: result.length,
-          hasMore: result.length === parseInt(limit)
+          cards: result.cards,
+          count: result.cards.length,
+          hasMore: result.hasMore,
+          nextCursor: result.nextCursor
+        },
+        requestId: requestId,
+        duration: duration
+      });
+
+    } catch (serviceError) {
+      const duration = Date.now() - startTime;
+      error(`[${requestId}] Request failed after ${duration}ms:`, serviceError);
+      log(`[${requestId}] ERROR Details: ${serviceError.message}`);
+      
+      let statusCode = 500;
+      let errorType = 'processing_error';
+      let errorMessage = serviceError.message || 'Unknown error';
+
+      if (errorMessage.includes('required') ||
+        errorMessage.includes('parameter') ||
+        errorMessage.includes('invalid')) {
+        statusCode = 400;
+        errorType = 'general_argument_invalid';
+      } else if (errorMessage.includes('unauthorized') ||
+        errorMessage.includes('JWT validation failed') ||
+        errorMessage.includes('token')) {
+        statusCode = 401;
+        errorType = 'general_unauthorized';
+      } else if (errorMessage.includes('not found') ||
+        errorMessage.includes('does not exist')) {
+        statusCode = 404;
+        errorType = 'general_not_found';
+      } else if (errorMessage.includes('Failed to fetch') ||
+        errorMessage.includes('Failed to filter') ||
+        errorMessage.includes('Failed to query')) {
+        statusCode = 500;
+        errorType = 'processing_error';
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        code: statusCode,
+        type: errorType,
+        message: errorMessage,
+        requestId: requestId,
+        duration: duration
+      });
+    }
+  }
+
+  async getLikesYou(req, res) {
+    const { startTime, requestId, jwtToken, requestedUser } = req;
+    const log = (message) => console.log(message);
+    const error = (message, err) => console.error(message, err);
+
+    try {
+      log(`[${requestId}] Get likes-you request started`);
+      const { limit = 10, cursor } = req.query;
+
+      log(`[${requestId}] Request params: userId=${requestedUser.$id}, limit=${limit}, cursor=${cursor ? 'yes' : 'none'}`);
+      const result = await exploreService.getLikesYouCards(
+        requestedUser,
+        jwtToken,
+        {
+          limit: parseInt(limit),
+          cursor: cursor || null
+        },
+        requestId,
+        log
+      );
+
+      const duration = Date.now() - startTime;
+      log(`[${requestId}] Request completed successfully in ${duration}ms, returned ${result.cards.length} cards`);
+
+      return res.status(200).json({
+        success: true,
+        code: 200,
+        message: 'Likes retrieved successfully',
+        data: {
+          cards: result.cards,
+          count: result.cards.length,
+          hasMore: result.hasMore,
+          nextCursor: result.nextCursor
         },
         requestId: requestId,
         duration: duration
@@ -7,5 +7,9 @@ router.get('/explore/cards',  (req, res) => {
   exploreController.getCards(req, res);
 });
 
+router.get('/explore/likes-you', (req, res) => {
+  exploreController.getLikesYou(req, res);
+});
+
 
 export default router;
\ No newline at end of file
@@ -1,20 +1,45 @@
 import AppwriteService from '../../services/appwrite/AppwriteService.js';
 import { generatePhotoUrls } from '../../utils/photoUtils.js';
+import { encodeCursor, decodeCursor } from '../../utils/cursorUtils.js';
+import seenSetCache from './utils/SeenSetCache.js';
+import profileUtils from '../profile/utils/ProfileUtils.js';
+import profileService from '../profile/profileService.js';
+import { RANKING_CONFIG, EXCLUSION_CONFIG } from './utils/Constants.js';
 
 const { createQuery } = AppwriteService;
 const Query = createQuery();
 
+// Exclusion bellekte uygulandığı için her turda limit'in katı kadar profil çekilir
+const EXPLORE_OVERFETCH_FACTOR = 3;
+const EXPLORE_MAX_FETCH_ROUNDS = 5;
+const EXCLUSION_PAGE_SIZE = 100;
+const SUPER_LIKE_DECK_LIMIT = 10;
+// Mesafe sıralamasında ilk halkanın hassasiyeti (~5km hücre, 3x3 blok ~15km)
+const DISTANCE_RING_START_PRECISION = 5;
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Geohash hücre boyutları (km) - index = precision, ekvatorda yükseklik/genişlik
+const GEOHASH_CELL_SIZES_KM = [
+  null,
+  { height: 4992.6, width: 5009.4 },
+  { height: 624.1, width: 1252.3 },
+  { height: 156.0, width: 156.5 },
+  { height: 19.5, width: 39.1 },
+  { height: 4.9, width: 4.9 },
+  { height: 0.61, width: 1.2 }
+];
+
 class ExploreService {
 
-  // Geohash'ten yaklaşık koordinat çıkarma
-  decodeGeohash(geohash) {
-    const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+  // Geohash'ten hücre sınırlarını çıkarma
+  decodeGeohashBounds(geohash) {
     let minLat = -90, maxLat = 90;
     let minLon = -180, maxLon = 180;
     let isEven = true;
 
     for (let i = 0; i < geohash.length; i++) {
-      const idx = BASE32.indexOf(geohash[i]);
+      const idx = GEOHASH_BASE32.indexOf(geohash[i]);
       for (let j = 4; j >= 0; j--) {
         const bit = (idx >> j) & 1;
         if (isEven) {
@@ -36,12 +61,135 @@ class ExploreService {
       }
     }
 
+    return { minLat, maxLat, minLon, maxLon };
+  }
+
+  // Geohash'ten yaklaşık koordinat çıkarma
+  decodeGeohash(geohash) {
+    const { minLat, maxLat, minLon, maxLon } = this.decodeGeohashBounds(geohash);
     return {
       lat: (minLat + maxLat) / 2,
       lon: (minLon + maxLon) / 2
     };
   }
 
+  // Koordinatı verilen hassasiyette geohash'e çevirme
+  encodeGeohash(lat, lon, precision) {
+    let minLat = -90, maxLat = 90;
+    let minLon = -180, maxLon = 180;
+    let isEven = true;
+    let bit = 0;
+    let idx = 0;
+    let geohash = '';
+
+    while (geohash.length < precision) {
+      if (isEven) {
+        const mid = (minLon + maxLon) / 2;
+        if (lon >= mid) {
+          idx = (idx << 1) | 1;
+          minLon = mid;
+        } else {
+          idx = idx << 1;
+          maxLon = mid;
+        }
+      } else {
+        const mid = (minLat + maxLat) / 2;
+        if (lat >= mid) {
+          idx = (idx << 1) | 1;
+          minLat = mid;
+        } else {
+          idx = idx << 1;
+          maxLat = mid;
+        }
+      }
+      isEven = !isEven;
+
+      if (++bit === 5) {
+        geohash += GEOHASH_BASE32[idx];
+        bit = 0;
+        idx = 0;
+      }
+    }
+
+    return geohash;
+  }
+
+  // Hücrenin kendisi + 8 komşusu (kutuplarda tekrar edenler ayıklanır)
+  getGeohashNeighbors(geohash) {
+    const { minLat, maxLat, minLon, maxLon } = this.decodeGeohashBounds(geohash);
+    const latStep = maxLat - minLat;
+    const lonStep = maxLon - minLon;
+    const centerLat = (minLat + maxLat) / 2;
+    const centerLon = (minLon + maxLon) / 2;
+
+    const cells = new Set();
+    for (const dLat of [-1, 0, 1]) {
+      for (const dLon of [-1, 0, 1]) {
+        const lat = centerLat + dLat * latStep;
+        if (lat < -90 || lat > 90) continue;
+        // Tarih değiştirme çizgisinde boylamı sar
+        let lon = centerLon + dLon * lonStep;
+        if (lon < -180) lon += 360;
+        if (lon > 180) lon -= 360;
+        cells.add(this.encodeGeohash(lat, lon, geohash.length));
+      }
+    }
+    return [...cells];
+  }
+
+  // Yarıçapı 3x3 komşu bloğuyla kapsayan en ince hassasiyeti seç
+  getGeohashPrecisionForRadius(radiusKm, latitude = 0) {
+    const lonFactor = Math.max(Math.cos(latitude * Math.PI / 180), 0.01);
+
+    for (let precision = GEOHASH_CELL_SIZES_KM.length - 1; precision >= 1; precision--) {
+      const { height, width } = GEOHASH_CELL_SIZES_KM[precision];
+      if (Math.min(height, width * lonFactor) >= radiusKm) {
+        return precision;
+      }
+    }
+    return 0; // Yarıçap çok büyük, prefix filtresi anlamsız
+  }
+
+  // Kullanıcının geohash'i ve yarıçapa göre sorgu prefix'lerini hesapla
+  getRadiusGeohashPrefixes(userGeohash, radiusKm) {
+    if (!userGeohash || !radiusKm || radiusKm <= 0) return [];
+
+    const { lat } = this.decodeGeohash(userGeohash);
+    const precision = Math.min(
+      this.getGeohashPrecisionForRadius(radiusKm, lat),
+      userGeohash.length
+    );
+    if (precision === 0) return [];
+
+    return this.getGeohashNeighbors(userGeohash.substring(0, precision));
+  }
+
+  /**
+   * Mesafe sıralaması için merkezden dışa doğru halkalar. Her halka bir öncekini kapsayan
+   * daha kaba 3x3 hücre bloğudur; son halka (null) sorgunun geri kalanıdır: yarıçap
+   * varsa yarıçap bloğu, yoksa konumu bilinmeyenler dahil tüm profiller.
+   */
+  getDistanceRings(userGeohash, radiusKm) {
+    if (!userGeohash) return [null];
+
+    const radiusPrecision = this.getRadiusGeohashPrefixes(userGeohash, radiusKm)[0]?.length || 0;
+    const startPrecision = Math.min(userGeohash.length, DISTANCE_RING_START_PRECISION);
+
+    const rings = [];
+    for (let precision = startPrecision; precision > radiusPrecision; precision--) {
+      rings.push(this.getGeohashNeighbors(userGeohash.substring(0, precision)));
+    }
+    rings.push(null);
+    return rings;
+  }
+
+  buildGeohashPrefixFilter(prefixes) {
+    if (prefixes.length === 1) {
+      return Query.startsWith('geohash', prefixes[0]);
+    }
+    return Query.or(prefixes.map(prefix => Query.startsWith('geohash', prefix)));
+  }
+
   // Haversine formülü ile iki nokta arası mesafe (km)
   calculateDistance(lat1, lon1, lat2, lon2) {
     const R = 6371; // Dünya yarıçapı km
@@ -71,8 +219,11 @@ class ExploreService {
   async getSwipeCards(requestingUser, jwtToken, filters, requestId, log, options = {}) {
     try {
       const operationStart = Date.now();
-      const { limit = 10, offset = 0 } = filters;
-      log(`[${requestId}] Starting getSwipeCards for user: ${requestingUser.$id} with filters: limit=${limit}, offset=${offset}`);
+      const { limit = 10, cursor = null, verifiedOnly = null } = filters;
+      log(`[${requestId}] Starting getSwipeCards for user: ${requestingUser.$id} with filters: limit=${limit}, cursor=${cursor ? 'yes' : 'none'}`);
+
+      // Cursor'ı en başta çöz, geçersizse sorgu yapmadan dön
+      const decodedCursor = decodeCursor(cursor);
 
       const appwriteService = AppwriteService.getInstance();
       // User preferences
@@ -82,6 +233,9 @@ class ExploreService {
       const showMeGenderMan = requestingUser?.prefs?.showMeGenderMan ?? true;
       const showMeGenderNonBinary = requestingUser?.prefs?.showMeGenderNonBinary ?? true;
       const showMeBlockedCountries = requestingUser?.prefs?.showMeBlockedCountries ?? [];
+      const maxDistanceKm = requestingUser?.prefs?.maxDistanceKm ?? null;
+      // İstek parametresi verilmemişse kullanıcının kayıtlı tercihi geçerli
+      const showMeVerifiedOnly = verifiedOnly ?? requestingUser?.prefs?.showMeVerifiedOnly ?? false;
 
       const userId = requestingUser.$id;
 
@@ -91,161 +245,56 @@ class ExploreService {
         includeRecentDislikes = false,
         includeRecentLikes = false,
         includeBlocks = false,
-        dislikesTimeframeDays = 90 // 3 ay (likes için expireDate kullanılıyor)
+        dislikesTimeframeDays = EXCLUSION_CONFIG.DISLIKES_TIMEFRAME_DAYS, // likes için expireDate kullanılıyor
+        sortByDistance = false, // Desteyi merkez hücreden dışa doğru halka halka, en yakından uzağa sırala
+        rankByCompatibility = true, // sortByDistance yoksa uyumluluk skoruna göre sırala
+        includeScoreBreakdown = false // Debug: skor detaylarını kartlara ekle
       } = options;
 
-      // Sadece istenen exclusion sorgularını hazırla
-      const queries = [];
-      const queryNames = [];
+      // Kullanıcının kendi profilini ve exclusion setlerini paralel çek
+      const categories = [];
+      if (includeMatches) categories.push('matches');
+      if (includeRecentDislikes) categories.push('recentDislikes');
+      if (includeRecentLikes) categories.push('recentLikes');
+      if (includeBlocks) categories.push('blocks');
 
-      // Kullanıcının kendi profilini çek (geohash için)
-      queries.push(
+      const [userProfile, requesterPreferences, ...exclusionSets] = await Promise.all([
         appwriteService.getDocument(
           jwtToken,
           process.env.DB_COLLECTION_PROFILES_ID,
           userId // userId direkt document ID olarak kullanılıyor
+        ),
+        rankByCompatibility
+          ? this.getBatchProfilePreferences(jwtToken, [userId]).then(docs => docs[0] || null)
+          : Promise.resolve(null),
+        ...categories.map(category =>
+          this.getExclusionSet(jwtToken, userId, category, { dislikesTimeframeDays }, requestId, log)
         )
-      );
-      queryNames.push('userProfile');
-
-      if (includeMatches) {
-        queries.push(
-          appwriteService.listDocuments(
-            jwtToken,
-            process.env.DB_COLLECTION_MATCHES_ID,
-            [
-              Query.or([
-                Query.equal('userFirst', [userId]),
-                Query.equal('userSecond', [userId])
-              ])
-            ]
-          )
-        );
-        queryNames.push('matches');
-      }
-
-      if (includeRecentDislikes) {
-        const timeframeAgo = new Date();
-        timeframeAgo.setDate(timeframeAgo.getDate() - dislikesTimeframeDays);
-
-        queries.push(
-          appwriteService.listDocuments(
-            jwtToken,
-            process.env.DB_COLLECTION_DISLIKES_ID,
-            [
-              Query.equal('dislikerId', [userId]),
-              Query.greaterThanEqual('$createdAt', timeframeAgo.toISOString())
-            ]
-          )
-        );
-        queryNames.push('recentDislikes');
-      }
-
-      if (includeRecentLikes) {
-        queries.push(
-          appwriteService.listDocuments(
-            jwtToken,
-            process.env.DB_COLLECTION_LIKES_ID,
-            [
-              Query.equal('likerId', [userId]),
-              Query.greaterThan('expireDate', new Date().toISOString())
-            ]
-          )
-        );
-        queryNames.push('recentLikes');
-      }
-
-      if (includeBlocks) {
-        queries.push(
-          appwriteService.listDocuments(
-            jwtToken,
-            process.env.DB_COLLECTION_BLOCKS_ID,
-            [
-              Query.equal('blockerId', [userId])
-            ]
-          )
-        );
-        queryNames.push('blocks');
-      }
-
-      // Paralel exclusion sorgu execution
-      const exclusionResults = await Promise.all(queries);
+      ]);
       const exclusionQueryDuration = Date.now() - operationStart;
 
-      // Sonuçları organize et
-      const exclusionData = {};
-      const exclusionSummary = {};
-      let userGeohash = null; // Kullanıcının geohash'i
-
-      exclusionResults.forEach((result, index) => {
-        const queryName = queryNames[index];
-        
-        // Kullanıcı profili ise geohash'i al
-        if (queryName === 'userProfile') {
-          userGeohash = result.geohash;
-          log(`[${requestId}] User geohash: ${userGeohash ? 'found' : 'not found'}`);
-        } else {
-          exclusionData[queryName] = result.documents;
-          exclusionSummary[`${queryName}Count`] = result.total;
-        }
-      });
-
-      // Exclusion ID'lerini çıkar
-      const excludedUserIds = [userId]; // Don't show the user themselves
-
-      // Matches'dan excluded user ID'leri al
-      if (exclusionData.matches) {
-        const matchedUserIds = exclusionData.matches.flatMap(match => {
-          if (match.user1Id && match.user2Id) {
-            return match.user1Id === userId ? [match.user2Id] : [match.user1Id];
-          }
-          if (match.userIds) {
-            return match.userIds.filter(id => id !== userId);
-          }
-          return [];
-        });
-        excludedUserIds.push(...matchedUserIds);
-      }
-
-      // Recent dislikes'dan excluded user ID'leri al
-      if (exclusionData.recentDislikes) {
-        const dislikedUserIds = exclusionData.recentDislikes.map(dislike => dislike.dislikedId);
-        excludedUserIds.push(...dislikedUserIds);
-      }
-
-      // Recent likes'dan excluded user ID'leri al
-      if (exclusionData.recentLikes) {
-        const likedUserIds = exclusionData.recentLikes.map(like => like.likedId);
-        excludedUserIds.push(...likedUserIds);
-      }
+      const userGeohash = userProfile.geohash || null; // Kullanıcının geohash'i
+      log(`[${requestId}] User geohash: ${userGeohash ? 'found' : 'not found'}`);
 
-      // Blocks'dan excluded user ID'leri al
-      if (exclusionData.blocks) {
-        const blockedUserIds = exclusionData.blocks.map(block => block.blockedId);
-        excludedUserIds.push(...blockedUserIds);
-      }
+      // Exclusion'lar sorguya değil bellekteki sete uygulanır (Appwrite query limiti aşılmasın)
+      const exclusionSummary = {};
+      const isExcluded = (profileId) => {
+        if (profileId === userId) return true; // Don't show the user themselves
+        return exclusionSets.some(set => set.has(profileId));
+      };
 
-      // Exclusion sonuçlarını logla
-      log(`[${requestId}] Exclusion query results:`);
-      queryNames.forEach(queryName => {
-        if (queryName !== 'userProfile') { // userProfile'ı exclusion log'larında gösterme
-          log(`[${requestId}] - ${queryName}: ${exclusionSummary[`${queryName}Count`]}`);
-        }
+      categories.forEach((category, index) => {
+        exclusionSummary[`${category}Count`] = exclusionSets[index].size;
+        log(`[${requestId}] - ${category}: ${exclusionSets[index].size}`);
       });
-      log(`[${requestId}] Exclusions fetched in ${exclusionQueryDuration}ms, total excluded: ${excludedUserIds.length}`);
+      log(`[${requestId}] Exclusions loaded in ${exclusionQueryDuration}ms`);
 
       // Build query filters for potential cards
+      // Sabit sıralama anahtarı: $createdAt - swipe sırasında yeni profiller sona eklenir, sayfalar kaymaz
       const queryFilters = [
-        Query.limit(limit),
-        Query.offset(offset)
+        Query.orderAsc('$createdAt')
       ];
 
-      // FIX: Her excluded user ID için ayrı notEqual query ekle
-      // Appwrite notEqual sorgusu tek değer kabul ediyor
-      excludedUserIds.forEach(excludedId => {
-        queryFilters.push(Query.notEqual('$id', excludedId));
-      });
-
       // Add age filters - yaş sınırları dahil edilsin
       const today = new Date();
 
@@ -277,20 +326,114 @@ class ExploreService {
         });
       }
 
-      // Fetch potential cards
+      // Sadece selfie doğrulaması yapmış profiller. Profildeki alan sahibi tarafından yazılabildiği için
+      // adaylar aşağıda sunucudaki doğrulama kayıtlarıyla ayrıca kontrol edilir
+      if (showMeVerifiedOnly) {
+        queryFilters.push(Query.equal('verified', true));
+        log(`[${requestId}] Verified-only filter enabled`);
+      }
+
+      // Distance filter - yarıçapı kapsayan geohash hücreleri (merkez + komşular)
+      const radiusPrefixes = this.getRadiusGeohashPrefixes(userGeohash, maxDistanceKm);
+      if (radiusPrefixes.length > 0) {
+        queryFilters.push(this.buildGeohashPrefixFilter(radiusPrefixes));
+      }
+      if (maxDistanceKm) {
+        log(`[${requestId}] Distance filter: maxDistanceKm=${maxDistanceKm}, cells=${radiusPrefixes.join(',') || 'none'}`);
+      }
+
+      // Mesafe filtresi aktifken konumu bilinmeyen profiller de dışarıda kalır
+      const isOutsideRadius = (doc) => Boolean(maxDistanceKm && userGeohash) &&
+        (!doc.geohash || this.calculateDistanceFromGeohashes(userGeohash, doc.geohash) > maxDistanceKm);
+
+      // Super like atanlar destenin başına alınır; bir sayfaya sığmayanlar sonraki sayfaların başında
+      // gösterilir. Gösterilenler cursor'da taşınır, hiçbiri normal akışta tekrar gösterilmez
+      const shownSuperLikerIds = new Set(Array.isArray(decodedCursor?.superShown) ? decodedCursor.superShown : []);
+      const superLikerCandidates = (await this.getSuperLikerProfiles(jwtToken, userId, queryFilters, requestId, log))
+        .filter(doc => !isExcluded(doc.$id) && !isOutsideRadius(doc));
+      const superLikerVerifications = showMeVerifiedOnly
+        ? await profileService.getVerificationsByUserIds(jwtToken, superLikerCandidates.map(doc => doc.$id))
+        : null;
+      const superLikerDocuments = superLikerVerifications
+        ? superLikerCandidates.filter(doc => superLikerVerifications.has(doc.$id))
+        : superLikerCandidates;
+      const superLikerIds = new Set(superLikerDocuments.map(doc => doc.$id));
+      const pendingSuperLikers = superLikerDocuments.filter(doc => !shownSuperLikerIds.has(doc.$id));
+
+      // Fetch potential cards - over-fetch edip exclusion/mesafe filtresini bellekte uygula
       const cardsQueryStart = Date.now();
-      const documents = await appwriteService.listDocuments(
-        jwtToken,
-        process.env.DB_COLLECTION_PROFILES_ID,
-        queryFilters
-      );
+      const fetchSize = Math.min(limit * EXPLORE_OVERFETCH_FACTOR, 100);
+      const acceptedDocuments = pendingSuperLikers.slice(0, limit);
+      acceptedDocuments.forEach(doc => shownSuperLikerIds.add(doc.$id));
+      const hasPendingSuperLikers = pendingSuperLikers.length > acceptedDocuments.length;
+      let afterId = decodedCursor?.after || null;
+      let exhausted = false;
+
+      // Mesafe sıralamasında profiller halka halka taranır, cursor kalınan halkayı taşır.
+      // Bir halkada önceki (iç) halkanın bloğuna düşenler zaten gösterildiği için atlanır.
+      const distanceRings = sortByDistance ? this.getDistanceRings(userGeohash, maxDistanceKm) : [null];
+      let ringIndex = Math.min(Math.max(parseInt(decodedCursor?.ring) || 0, 0), distanceRings.length - 1);
+      const isInInnerRing = (doc) => ringIndex > 0 && Boolean(doc.geohash) &&
+        distanceRings[ringIndex - 1].some(prefix => doc.geohash.startsWith(prefix));
+
+      let fetchRounds = 0;
+      let total = 0;
+      let skippedCount = 0;
+
+      while (acceptedDocuments.length < limit && !exhausted && fetchRounds < EXPLORE_MAX_FETCH_ROUNDS) {
+        const pageFilters = [...queryFilters, Query.limit(fetchSize)];
+        if (distanceRings[ringIndex]) {
+          pageFilters.push(this.buildGeohashPrefixFilter(distanceRings[ringIndex]));
+        }
+        if (afterId) {
+          pageFilters.push(Query.cursorAfter(afterId));
+        }
+
+        const page = await appwriteService.listDocuments(
+          jwtToken,
+          process.env.DB_COLLECTION_PROFILES_ID,
+          pageFilters
+        );
+        fetchRounds++;
+        if (fetchRounds === 1) total = page.total;
+
+        const pageVerifications = showMeVerifiedOnly
+          ? await profileService.getVerificationsByUserIds(jwtToken, page.documents.map(doc => doc.$id))
+          : null;
+
+        let consumed = 0;
+        for (const doc of page.documents) {
+          consumed++;
+          afterId = doc.$id;
+
+          if (isExcluded(doc.$id) || isOutsideRadius(doc) || superLikerIds.has(doc.$id) || shownSuperLikerIds.has(doc.$id) || isInInnerRing(doc) ||
+            (pageVerifications && !pageVerifications.has(doc.$id))) {
+            skippedCount++;
+            continue;
+          }
+
+          acceptedDocuments.push(doc);
+          if (acceptedDocuments.length === limit) break;
+        }
+
+        // Kısa sayfanın tamamı tüketildiyse halkanın (mesafe sıralaması yoksa listenin) sonuna gelindi
+        const ringExhausted = page.documents.length < fetchSize && consumed === page.documents.length;
+        if (ringExhausted && ringIndex < distanceRings.length - 1) {
+          ringIndex++;
+          afterId = null;
+        } else {
+          exhausted = ringExhausted;
+        }
+      }
       const cardsQueryDuration = Date.now() - cardsQueryStart;
 
+      log(`[${requestId}] Cards fetched in ${fetchRounds} round(s), accepted=${acceptedDocuments.length}, skipped=${skippedCount}`);
+
       // Sadece gerekli verileri çek ve enrich et
       const enrichmentStart = Date.now();
       const enrichedCards = await this.enrichSwipeCards(
         jwtToken,
-        documents.documents,
+        acceptedDocuments,
         requestId,
         log,
         userGeohash // Kullanıcının geohash'ini pass et
@@ -299,16 +442,52 @@ class ExploreService {
 
       log(`[${requestId}] Cards enrichment completed in ${enrichmentDuration}ms`);
 
+      // Super like kartları sıralamaya girmez, her zaman önde kalır.
+      // Mesafe sıralamasında sayfalar halkalar içinde $createdAt sırasıyla ilerler; sayfa kendi içinde
+      // mesafeye göre sıralanır. Uyumluluk sıralaması ise sadece bu sayfanın kartlarına uygulanır.
+      const superLikeCards = enrichedCards
+        .filter(card => superLikerIds.has(card.$id))
+        .map(card => ({ ...card, superLikedYou: true }));
+      let cards = enrichedCards.filter(card => !superLikerIds.has(card.$id));
+      if (sortByDistance) {
+        cards = [...cards].sort((a, b) => {
+          if (a.distanceKm === null) return 1;
+          if (b.distanceKm === null) return -1;
+          return a.distanceKm - b.distanceKm;
+        });
+      } else if (rankByCompatibility) {
+        cards = this.rankCards(
+          { ...userProfile, preferences: requesterPreferences },
+          cards,
+          { maxDistanceKm, includeScoreBreakdown }
+        );
+      }
+      cards = [...superLikeCards, ...cards];
+
+      // Cursor, incelenen son dokümandan üretilir (elenenler dahil) ki sonraki sayfa tekrar taramasın
+      const hasMore = !exhausted || hasPendingSuperLikers;
+      const nextCursor = hasMore
+        ? encodeCursor({
+          after: afterId,
+          ...(sortByDistance && { ring: ringIndex }),
+          ...(shownSuperLikerIds.size > 0 && { superShown: [...shownSuperLikerIds] })
+        })
+        : null;
+
       return {
-        cards: enrichedCards,
-        total: documents.total,
+        cards,
+        nextCursor,
+        hasMore,
+        total,
         exclusionsSummary: exclusionSummary,
         performance: {
           exclusionQueryDuration,
           cardsQueryDuration,
           enrichmentDuration,
           totalOperationDuration: Date.now() - operationStart,
-          queriesExecuted: queryNames
+          fetchRounds,
+          skippedCount,
+          exclusionCategories: categories
         }
       };
 
@@ -319,14 +498,284 @@ class ExploreService {
   }
 
 
+  // Kullanıcıya super like atan (süresi dolmamış, eşleşmemiş) profilleri deste filtreleriyle getir
+  async getSuperLikerProfiles(jwtToken, userId, profileFilters, requestId, log) {
+    const appwriteService = AppwriteService.getInstance();
+
+    const superLikes = await appwriteService.listDocuments(
+      jwtToken,
+      process.env.DB_COLLECTION_LIKES_ID,
+      [
+        Query.equal('likedId', [userId]),
+        Query.equal('isSuperLike', true),
+        Query.isNull('matchId'),
+        Query.greaterThan('expireDate', new Date().toISOString()),
+        Query.orderDesc('$createdAt'),
+        Query.limit(SUPER_LIKE_DECK_LIMIT)
+      ]
+    );
+    if (superLikes.documents.length === 0) return [];
+
+    const likerIds = superLikes.documents.map(like => like.likerId);
+    const profiles = await appwriteService.listDocuments(
+      jwtToken,
+      process.env.DB_COLLECTION_PROFILES_ID,
+      [
+        ...profileFilters,
+        Query.equal('$id', likerIds),
+        Query.limit(likerIds.length)
+      ]
+    );
+
+    log(`[${requestId}] Super likers found: ${superLikes.documents.length}, matching deck filters: ${profiles.documents.length}`);
+
+    // En yeni super like önce
+    const profilesById = new Map(profiles.documents.map(doc => [doc.$id, doc]));
+    return likerIds.filter(id => profilesById.has(id)).map(id => profilesById.get(id));
+  }
+
+  // Kullanıcıyı beğenen (süresi dolmamış, eşleşmemiş) profilleri kart olarak getir
+  async getLikesYouCards(requestingUser, jwtToken, filters, requestId, log) {
+    try {
+      const operationStart = Date.now();
+      const { limit = 10, cursor = null } = filters;
+      const userId = requestingUser.$id;
+      log(`[${requestId}] Starting getLikesYouCards for user: ${userId} with limit=${limit}, cursor=${cursor ? 'yes' : 'none'}`);
+
+      const decodedCursor = decodeCursor(cursor);
+      const appwriteService = AppwriteService.getInstance();
+
+      const likeFilters = [
+        Query.equal('likedId', [userId]),
+        Query.isNull('matchId'),
+        Query.greaterThan('expireDate', new Date().toISOString()),
+        Query.orderDesc('$createdAt'),
+        Query.limit(limit)
+      ];
+      if (decodedCursor?.after) {
+        likeFilters.push(Query.cursorAfter(decodedCursor.after));
+      }
+
+      const [userProfile, likes, blockedIds] = await Promise.all([
+        appwriteService.getDocument(jwtToken, process.env.DB_COLLECTION_PROFILES_ID, userId),
+        appwriteService.listDocuments(jwtToken, process.env.DB_COLLECTION_LIKES_ID, likeFilters),
+        this.getExclusionSet(jwtToken, userId, 'blocks', {}, requestId, log)
+      ]);
+
+      // Engellenen kullanıcıların beğenileri destede gösterilmez
+      const visibleLikes = likes.documents.filter(like => !blockedIds.has(like.likerId));
+      const likerIds = visibleLikes.map(like => like.likerId);
+
+      let profiles = [];
+      if (likerIds.length > 0) {
+        const profilesResult = await appwriteService.listDocuments(
+          jwtToken,
+          process.env.DB_COLLECTION_PROFILES_ID,
+          [
+            Query.equal('$id', likerIds),
+            Query.limit(likerIds.length)
+          ]
+        );
+        profiles = profilesResult.documents;
+      }
+
+      const enrichedCards = await this.enrichSwipeCards(
+        jwtToken,
+        profiles,
+        requestId,
+        log,
+        userProfile.geohash || null
+      );
+
+      // Beğeni sırasını koru, like bilgisini karta ekle (geri beğeni /interactions/like ile yapılır)
+      const cardsById = new Map(enrichedCards.map(card => [card.$id, card]));
+      const cards = visibleLikes
+        .filter(like => cardsById.has(like.likerId))
+        .map(like => ({
+          ...cardsById.get(like.likerId),
+          like: {
+            likeId: like.$id,
+            likedAt: like.$createdAt,
+            expireDate: like.expireDate,
+            isSuperLike: !!like.isSuperLike
+          }
+        }));
+
+      const lastLike = likes.documents[likes.documents.length - 1];
+      const hasMore = likes.documents.length === limit;
+      const nextCursor = hasMore && lastLike ? encodeCursor({ after: lastLike.$id }) : null;
+
+      log(`[${requestId}] getLikesYouCards completed in ${Date.now() - operationStart}ms, returned ${cards.length} cards`);
+
+      return {
+        cards,
+        nextCursor,
+        hasMore,
+        total: likes.total
+      };
+
+    } catch (error) {
+      log(`[${requestId}] ERROR in getLikesYouCards: ${error.message}`);
+      throw new Error(`Failed to fetch likes: ${error.message}`);
+    }
+  }
+
+  // Ranking ağırlıkları: varsayılanlar + EXPLORE_RANKING_WEIGHTS env override
+  getRankingWeights() {
+    const weights = { ...RANKING_CONFIG.DEFAULT_WEIGHTS };
+    const override = process.env.EXPLORE_RANKING_WEIGHTS;
+    if (!override) return weights;
+
+    try {
+      const parsed = JSON.parse(override);
+      Object.keys(weights).forEach(key => {
+        const value = Number(parsed[key]);
+        if (parsed[key] !== undefined && Number.isFinite(value) && value >= 0) {
+          weights[key] = value;
+        }
+      });
+    } catch (error) {
+      console.warn(`[ExploreService] Invalid EXPLORE_RANKING_WEIGHTS, using defaults: ${error.message}`);
+    }
+    return weights;
+  }
+
+  // İki liste arasındaki ortaklık oranı (0-1), küçük listeye göre
+  calculateOverlapRatio(listA, listB) {
+    if (!Array.isArray(listA) || !Array.isArray(listB) || listA.length === 0 || listB.length === 0) {
+      return 0;
+    }
+    const setA = new Set(listA.map(item => String(item).toLowerCase()));
+    const shared = listB.filter(item => setA.has(String(item).toLowerCase())).length;
+    return shared / Math.min(setA.size, listB.length);
+  }
+
+  // Tek aday için 0-1 arası bileşenler ve 0-100 toplam skor
+  scoreCandidate(requester, card, weights, { maxDistanceKm = null } = {}) {
+    const distanceRange = maxDistanceKm || RANKING_CONFIG.DEFAULT_DISTANCE_RANGE_KM;
+
+    const lastActive = card.lastActiveAt || card.$updatedAt;
+    let activity = 0;
+    if (lastActive) {
+      const inactiveDays = (Date.now() - new Date(lastActive).getTime()) / (24 * 60 * 60 * 1000);
+      activity = Math.max(0, 1 - inactiveDays / RANKING_CONFIG.ACTIVITY_WINDOW_DAYS);
+    }
+
+    const components = {
+      passions: this.calculateOverlapRatio(requester.preferences?.passions, card.preferences?.passions),
+      relationGoal: requester.relationGoal && card.relationGoal && requester.relationGoal === card.relationGoal ? 1 : 0,
+      habits: this.calculateOverlapRatio(requester.preferences?.habits, card.preferences?.habits),
+      distance: card.distanceKm === null ? 0 : Math.max(0, 1 - card.distanceKm / distanceRange),
+      completion: profileUtils.calculateProfileCompletion(card) / 100,
+      activity
+    };
+
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    const weightedSum = Object.keys(components)
+      .reduce((sum, key) => sum + components[key] * (weights[key] || 0), 0);
+    const score = totalWeight > 0 ? Math.round((weightedSum / totalWeight) * 100) : 0;
+
+    return { score, components };
+  }
+
+  // Kartları uyumluluk skoruna göre büyükten küçüğe sırala
+  rankCards(requester, cards, { maxDistanceKm = null, includeScoreBreakdown = false } = {}) {
+    const weights = this.getRankingWeights();
+
+    return cards
+      .map(card => ({ card, ...this.scoreCandidate(requester, card, weights, { maxDistanceKm }) }))
+      .sort((a, b) => b.score - a.score)
+      .map(({ card, score, components }) => {
+        if (!includeScoreBreakdown) return card;
+        return {
+          ...card,
+          compatibility: { score, components, weights }
+        };
+      });
+  }
+
+  // Exclusion kategorisi için kullanıcı ID setini cache'ten veya Appwrite'tan (sayfalı) getir
+  async getExclusionSet(jwtToken, userId, category, options, requestId, log) {
+    const cached = seenSetCache.get(userId, category);
+    if (cached) return cached;
+
+    const appwriteService = AppwriteService.getInstance();
+    let collectionId;
+    let filters;
+    let extractIds;
+
+    switch (category) {
+      case 'matches':
+        collectionId = process.env.DB_COLLECTION_MATCHES_ID;
+        filters = [
+          Query.or([
+            Query.equal('userFirst', [userId]),
+            Query.equal('userSecond', [userId])
+          ])
+        ];
+        extractIds = match => [match.userFirst === userId ? match.userSecond : match.userFirst];
+        break;
+
+      case 'recentDislikes': {
+        const timeframeAgo = new Date();
+        timeframeAgo.setDate(timeframeAgo.getDate() - options.dislikesTimeframeDays);
+        collectionId = process.env.DB_COLLECTION_DISLIKES_ID;
+        filters = [
+          Query.equal('dislikerId', [userId]),
+          Query.greaterThanEqual('$createdAt', timeframeAgo.toISOString())
+        ];
+        extractIds = dislike => [dislike.dislikedId];
+        break;
+      }
+
+      case 'recentLikes':
+        collectionId = process.env.DB_COLLECTION_LIKES_ID;
+        filters = [
+          Query.equal('likerId', [userId]),
+          Query.greaterThan('expireDate', new Date().toISOString())
+        ];
+        extractIds = like => [like.likedId];
+        break;
+
+      case 'blocks':
+        collectionId = process.env.DB_COLLECTION_BLOCKS_ID;
+        filters = [Query.equal('blockerId', [userId])];
+        extractIds = block => [block.blockedId];
+        break;
+
+      default:
+        throw new Error(`Invalid exclusion category: ${category}`);
+    }
+
+    // Sadece gereken alanları, cursor ile sayfa sayfa çek
+    const ids = [];
+    let afterId = null;
+    while (true) {
+      const pageFilters = [...filters, Query.limit(EXCLUSION_PAGE_SIZE)];
+      if (afterId) {
+        pageFilters.push(Query.cursorAfter(afterId));
+      }
+
+      const page = await appwriteService.listDocuments(jwtToken, collectionId, pageFilters);
+      page.documents.forEach(doc => ids.push(...extractIds(doc)));
+
+      if (page.documents.length < EXCLUSION_PAGE_SIZE) break;
+      afterId = page.documents[page.documents.length - 1].$id;
+    }
+
+    log(`[${requestId}] Exclusion set loaded from database: ${category}=${ids.length}`);
+    return seenSetCache.set(userId, category, ids.filter(Boolean));
+  }
+
   async enrichSwipeCards(jwtToken, profileDocuments, requestId, log, userGeohash = null) {
     try {
       const profileIds = profileDocuments.map(doc => doc.$id);
 
       // Sadece swipe cards için gerekli verileri paralel çek
-      const [mediaData, preferencesData] = await Promise.all([
+      const [mediaData, preferencesData, verificationByUserId] = await Promise.all([
         this.getBatchProfileMedia(jwtToken, profileIds),
-        this.getBatchProfilePreferences(jwtToken, profileIds)
+        this.getBatchProfilePreferences(jwtToken, profileIds),
+        profileService.getVerificationsByUserIds(jwtToken, profileIds)
       ]);
 
       log(`[${requestId}] Essential data fetched for ${profileIds.length} profiles`);
@@ -349,11 +798,19 @@ class ExploreService {
           distanceKm = this.calculateDistanceFromGeohashes(userGeohash, profile.geohash);
         }
 
-        // Sadece gerekli data'yı attach et
+        // Medyalar displayOrder'a göre sıralı geliyor; ilki destedeki kapak fotoğrafı.
+        // Deste için tam boyut yerine card boyutu kullanılır (eski kayıtlarda yok)
+        const medias = mediaByUserId[userId] || [];
+        const coverPhotoUrl = medias[0]?.cardUrl || medias[0]?.url || photosWithUrl[0] || null;
+        const coverBlurHash = medias[0]?.blurHash || null;
+
+        // Sadece gerekli data'yı attach et; rozet profildeki alandan değil doğrulama kaydından gelir
         return {
-          ...profile,
+          ...profileService.applyVerification({ ...profile }, verificationByUserId.get(userId)),
           photosWithUrl,
-          medias: mediaByUserId[userId] || [],
+          coverPhotoUrl,
+          coverBlurHash,
+          medias,
           preferences: preferencesByUserId[userId] || null,
           distanceKm // Mesafe bilgisini ekle (null olabilir)
         };
@@ -377,7 +834,9 @@ class ExploreService {
       [
         Query.equal('userId', userIds),
         Query.equal('isActive', true),
-        Query.orderAsc('displayOrder')
+        Query.orderAsc('displayOrder'),
+        // Varsayılan 25 limit tüm kartlara bölünmesin; addProfileMedia kullanıcı başına en fazla 10 medya kabul eder
+        Query.limit(userIds.length * 10)
       ]
     );
     return result.documents;
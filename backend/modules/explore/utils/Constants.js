@@ -0,0 +1,25 @@
+// utils/Constants.js
+
+export const RANKING_CONFIG = {
+  // Varsayılan ağırlıklar - EXPLORE_RANKING_WEIGHTS (JSON) ile kod değişmeden ezilebilir
+  // Örn: EXPLORE_RANKING_WEIGHTS='{"passions":30,"distance":10}'
+  DEFAULT_WEIGHTS: {
+    passions: 25,
+    relationGoal: 20,
+    habits: 15,
+    distance: 20,
+    completion: 10,
+    activity: 10
+  },
+
+  // maxDistanceKm tercihi yoksa mesafe skorunun sıfırlandığı uzaklık (km)
+  DEFAULT_DISTANCE_RANGE_KM: 100,
+
+  // Bu kadar gün aktif olmayan profil aktivite skorundan 0 alır
+  ACTIVITY_WINDOW_DAYS: 30
+};
+
+export const EXCLUSION_CONFIG = {
+  // Dislike edilen profil bu kadar gün desteye geri gelmez; daha eski dislike'lar zamanlanmış işle silinir
+  DISLIKES_TIMEFRAME_DAYS: 90
+};
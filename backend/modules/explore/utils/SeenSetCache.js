@@ -0,0 +1,88 @@
+// SeenSetCache.js
+
+/**
+ * Kullanıcı başına "görülmüş" ID setlerini (matches, dislikes, likes, blocks)
+ * bellekte tutar. Swipe geçmişi büyüdükçe her istekte tüm exclusion
+ * listelerini çekmek yerine set bir kez doldurulur, interaction'lar
+ * geldikçe artımlı olarak güncellenir.
+ */
+class SeenSetCache {
+  constructor() {
+    this.entries = new Map(); // key: `${userId}:${category}` -> { ids: Set, cachedAt }
+  }
+
+  // Singleton import sırasında oluşuyor; env değerleri dotenv yüklendikten sonra okunmalı
+  get ttl() {
+    return parseInt(process.env.EXPLORE_SEEN_SET_TTL_MS || '600000'); // 10 dakika
+  }
+
+  get maxEntries() {
+    return parseInt(process.env.EXPLORE_SEEN_SET_MAX_ENTRIES || '5000');
+  }
+
+  _key(userId, category) {
+    return `${userId}:${category}`;
+  }
+
+  /**
+   * Cache'teki seti döndürür, yoksa veya süresi dolmuşsa null
+   */
+  get(userId, category) {
+    const key = this._key(userId, category);
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() - entry.cachedAt > this.ttl) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // LRU: son kullanılanı sona taşı
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.ids;
+  }
+
+  set(userId, category, ids) {
+    const key = this._key(userId, category);
+    this.entries.delete(key);
+
+    if (this.entries.size >= this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+
+    const idSet = new Set(ids);
+    this.entries.set(key, { ids: idSet, cachedAt: Date.now() });
+    return idSet;
+  }
+
+  /**
+   * Set cache'te varsa ID ekler; yoksa bir sonraki okumada zaten tamamı çekilecek
+   */
+  add(userId, category, ...ids) {
+    const entry = this.entries.get(this._key(userId, category));
+    if (!entry) return;
+    ids.filter(Boolean).forEach(id => entry.ids.add(id));
+  }
+
+  remove(userId, category, ...ids) {
+    const entry = this.entries.get(this._key(userId, category));
+    if (!entry) return;
+    ids.forEach(id => entry.ids.delete(id));
+  }
+
+  invalidate(userId) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(`${userId}:`)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export default new SeenSetCache();
@@ -15,12 +15,17 @@ class InteractionController {
     return await this.handleInteraction(req, res, 'like');
   }
 
+  async superLikeUser(req, res) {
+    return await this.handleInteraction(req, res, 'superlike');
+  }
+
   async dislikeUser(req, res) {
     return await this.handleInteraction(req, res, 'dislike');
   }
 
   async unmatch(req, res) {
-    return await this.handleInteraction(req, res, 'unmatch');
+    const { reason, reasonText } = req.body;
+    return await this.handleInteraction(req, res, 'unmatch', { feedback: { reason, reasonText } });
   }
 
   async getAllInteractions(req, res) {
@@ -36,7 +41,8 @@ class InteractionController {
         includeMatches: req.query.includeMatches !== 'false',
         includeBlocks: req.query.includeBlocks !== 'false',
         includeDislikes: req.query.includeDislikes !== 'false',
-        limit: parseInt(req.query.limit) || 100
+        limit: parseInt(req.query.limit) || 100,
+        cursor: req.query.cursor || null
       };
 
       log(`[${requestId}] Request params: requesterId=${requestedUser.$id}, options=${JSON.stringify(options)}`);
@@ -71,7 +77,10 @@ class InteractionController {
       let errorType = 'processing_error';
       let errorMessage = serviceError.message || 'Unknown error';
 
-      if (errorMessage.includes('unauthorized') ||
+      if (errorMessage.includes('Invalid cursor')) {
+        statusCode = 400;
+        errorType = 'general_argument_invalid';
+      } else if (errorMessage.includes('unauthorized') ||
         errorMessage.includes('JWT validation failed') ||
         errorMessage.includes('token')) {
         statusCode = 401;
@@ -97,7 +106,189 @@ class InteractionController {
     }
   }
 
-  async handleInteraction(req, res, interactionType) {
+  async reportUser(req, res) {
+    const { startTime, requestId, jwtToken, requestedUser } = req;
+    const log = (message) => console.log(message);
+    const error = (message, err) => console.error(message, err);
+
+    try {
+      log(`[${requestId}] report request started`);
+      const { receiverId, reason, details, messageIds, photoIds, block } = req.body;
+
+      log(`[${requestId}] Request params: receiverId=${receiverId}, requesterId=${requestedUser.$id}, reason=${reason}, block=${!!block}`);
+
+      const result = await interactionService.reportUser(
+        jwtToken,
+        requestedUser.$id,
+        receiverId,
+        { reason, details, messageIds, photoIds, block: block === true },
+        requestId,
+        log
+      );
+
+      const duration = Date.now() - startTime;
+      log(`[${requestId}] report completed successfully in ${duration}ms`);
+
+      return res.status(200).json({
+        success: true,
+        code: 200,
+        message: 'User reported successfully',
+        data: result,
+        requestId: requestId,
+        duration: duration
+      });
+
+    } catch (serviceError) {
+      const duration = Date.now() - startTime;
+      error(`[${requestId}] report failed after ${duration}ms:`, serviceError);
+      log(`[${requestId}] ERROR Details: ${serviceError.message}`);
+
+      let statusCode = 500;
+      let errorType = 'processing_error';
+      let errorMessage = serviceError.message || 'Unknown error';
+
+      if (errorMessage.includes('parameter') ||
+        errorMessage.includes('cannot be the same')) {
+        statusCode = 400;
+        errorType = 'general_argument_invalid';
+      } else if (errorMessage.includes('unauthorized') ||
+        errorMessage.includes('JWT validation failed') ||
+        errorMessage.includes('token')) {
+        statusCode = 401;
+        errorType = 'general_unauthorized';
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        code: statusCode,
+        type: errorType,
+        message: errorMessage,
+        requestId: requestId,
+        duration: duration
+      });
+    }
+  }
+
+  async batch(req, res) {
+    const { startTime, requestId, jwtToken, requestedUser } = req;
+    const log = (message) => console.log(message);
+    const error = (message, err) => console.error(message, err);
+
+    try {
+      log(`[${requestId}] batch request started for user: ${requestedUser.$id}`);
+      const { actions } = req.body;
+
+      const result = await interactionService.processSwipeBatch(
+        jwtToken,
+        requestedUser.$id,
+        actions,
+        requestId,
+        log
+      );
+
+      const duration = Date.now() - startTime;
+      log(`[${requestId}] batch completed successfully in ${duration}ms`);
+
+      return res.status(200).json({
+        success: true,
+        code: 200,
+        message: 'Batch processed',
+        data: result,
+        requestId: requestId,
+        duration: duration
+      });
+
+    } catch (serviceError) {
+      const duration = Date.now() - startTime;
+      error(`[${requestId}] batch failed after ${duration}ms:`, serviceError);
+      log(`[${requestId}] ERROR Details: ${serviceError.message}`);
+
+      let statusCode = 500;
+      let errorType = 'processing_error';
+      let errorMessage = serviceError.message || 'Unknown error';
+
+      if (errorMessage.includes('parameter')) {
+        statusCode = 400;
+        errorType = 'general_argument_invalid';
+      } else if (errorMessage.includes('unauthorized') ||
+        errorMessage.includes('JWT validation failed') ||
+        errorMessage.includes('token')) {
+        statusCode = 401;
+        errorType = 'general_unauthorized';
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        code: statusCode,
+        type: errorType,
+        message: errorMessage,
+        requestId: requestId,
+        duration: duration
+      });
+    }
+  }
+
+  async rewind(req, res) {
+    const { startTime, requestId, jwtToken, requestedUser } = req;
+    const log = (message) => console.log(message);
+    const error = (message, err) => console.error(message, err);
+
+    try {
+      log(`[${requestId}] rewind request started for user: ${requestedUser.$id}`);
+
+      const result = await interactionService.rewindLastSwipe(
+        jwtToken,
+        requestedUser,
+        requestId,
+        log
+      );
+
+      const duration = Date.now() - startTime;
+      log(`[${requestId}] rewind completed successfully in ${duration}ms`);
+
+      return res.status(200).json({
+        success: true,
+        code: 200,
+        message: 'Last swipe rewound successfully',
+        data: result,
+        requestId: requestId,
+        duration: duration
+      });
+
+    } catch (serviceError) {
+      const duration = Date.now() - startTime;
+      error(`[${requestId}] rewind failed after ${duration}ms:`, serviceError);
+      log(`[${requestId}] ERROR Details: ${serviceError.message}`);
+
+      let statusCode = 500;
+      let errorType = 'processing_error';
+      let errorMessage = serviceError.message || 'Unknown error';
+
+      if (errorMessage.includes('quota exceeded')) {
+        statusCode = 429;
+        errorType = 'quota_exceeded';
+      } else if (errorMessage.includes('unauthorized') ||
+        errorMessage.includes('JWT validation failed') ||
+        errorMessage.includes('token')) {
+        statusCode = 401;
+        errorType = 'general_unauthorized';
+      } else if (errorMessage.includes('not found')) {
+        statusCode = 404;
+        errorType = 'general_not_found';
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        code: statusCode,
+        type: errorType,
+        message: errorMessage,
+        requestId: requestId,
+        duration: duration
+      });
+    }
+  }
+
+  async handleInteraction(req, res, interactionType, options = {}) {
     const { startTime, requestId, jwtToken, requestedUser } = req;
     const log = (message) => console.log(message);
     const error = (message, err) => console.error(message, err);
@@ -117,7 +308,8 @@ class InteractionController {
         jwtToken,
         requestedUser.$id,
         requestId,
-        log
+        log,
+        options
       );
 
       const duration = Date.now() - startTime;
@@ -142,7 +334,10 @@ class InteractionController {
       let errorType = 'processing_error';
       let errorMessage = serviceError.message || 'Unknown error';
 
-      if (errorMessage.includes('required') ||
+      if (errorMessage.includes('quota exceeded')) {
+        statusCode = 429;
+        errorType = 'quota_exceeded';
+      } else if (errorMessage.includes('required') ||
         errorMessage.includes('parameter') ||
         errorMessage.includes('cannot be the same') ||
         errorMessage.includes('must be the same')) {
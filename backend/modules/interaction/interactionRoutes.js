@@ -23,10 +23,26 @@ router.post('/interactions/like', (req, res) => {
   interactionController.likeUser(req, res);
 });
 
+router.post('/interactions/superlike', (req, res) => {
+  interactionController.superLikeUser(req, res);
+});
+
 router.post('/interactions/dislike', (req, res) => {
   interactionController.dislikeUser(req, res);
 });
 
+router.post('/interactions/batch', (req, res) => {
+  interactionController.batch(req, res);
+});
+
+router.post('/interactions/report', (req, res) => {
+  interactionController.reportUser(req, res);
+});
+
+router.post('/interactions/rewind', (req, res) => {
+  interactionController.rewind(req, res);
+});
+
 router.post('/interactions/all', (req, res) => {
   interactionController.getAllInteractions(req, res);
 });
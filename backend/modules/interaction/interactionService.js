@@ -1,5 +1,11 @@
 import AppwriteService from '../../services/appwrite/AppwriteService.js';
 import { generatePhotoUrls } from '../../utils/photoUtils.js';
+import { encodeCursor, decodeCursor } from '../../utils/cursorUtils.js';
+import seenSetCache from '../explore/utils/SeenSetCache.js';
+import idempotencyCache from './utils/IdempotencyCache.js';
+import exploreService from '../explore/exploreService.js';
+import { MATCH_EXPIRY_CONFIG } from '../match/utils/Constants.js';
+import matchService from '../match/matchService.js';
 import crypto from 'crypto';
 import { generateDocumentId } from '#id-generator';
 
@@ -8,9 +14,33 @@ import { generateDocumentId } from '#id-generator';
 const { createQuery } = AppwriteService;
 const Query = createQuery();
 
+// Like dokümanlarına istemci yazamaz; isSuperLike, expireDate ve matchId sadece sunucudan değişir
+const LIKE_OWNER_PERMISSIONS = ['read'];
+
+// Match dokümanları iki taraf için de salt okunur; expireDate gibi alanlar sadece sunucudan değişir
+const MATCH_OWNER_PERMISSIONS = ['read'];
+
+// Super like quota'sı sadece bu sonuçlarda harcanmış sayılır, diğerlerinde iade edilir
+const SUPER_LIKE_CONSUMING_ACTIONS = ['liked', 're-liked', 'upgraded_to_super_like', 'matched'];
+
+// Şikayet kategorileri ve kanıt limitleri
+const REPORT_REASONS = ['spam', 'inappropriate_content', 'harassment', 'fake_profile', 'underage', 'scam', 'other'];
+const REPORT_MAX_DETAILS_LENGTH = 1000;
+const REPORT_MAX_MESSAGE_EVIDENCE = 20;
+const REPORT_MAX_PHOTO_EVIDENCE = 10;
+// Şikayet eden kaydını görebilir ama durumunu, kanıtı veya sayacı değiştiremez, silemez
+const REPORT_OWNER_PERMISSIONS = ['read'];
+// Tekrar şikayetlerin geçmişi (JSON string) en fazla bu kadar kayıt tutar
+const REPORT_MAX_HISTORY = 20;
+
+// Offline swipe batch limitleri
+const BATCH_ACTION_TYPES = ['like', 'dislike'];
+const BATCH_MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // client saati bu kadar ileride olabilir
+const BATCH_MAX_IDEMPOTENCY_KEY_LENGTH = 128;
+
 class InteractionService {
 
-  async handleUserInteraction(interactionType, senderId, receiverId, jwtToken, requestedUserId, requestId, log) {
+  async handleUserInteraction(interactionType, senderId, receiverId, jwtToken, requestedUserId, requestId, log, options = {}) {
     try {
       // Validation
       const validationErrors = this.validateRequest(interactionType, senderId, receiverId, requestedUserId);
@@ -46,15 +76,20 @@ class InteractionService {
         result = await this.muteUser(jwtToken, senderId, receiverId, false, requestId, log);
       } else if (interactionType === 'like') {
         result = await this.likeUser(jwtToken, senderId, receiverId, requestId, log);
+      } else if (interactionType === 'superlike') {
+        result = await this.superLikeUser(jwtToken, senderId, receiverId, requestId, log);
       } else if (interactionType === 'dislike') {
         result = await this.dislikeUser(jwtToken, senderId, receiverId, requestId, log);
       } else if (interactionType === 'unmatch') {
-        result = await this.unmatchUser(jwtToken, senderId, receiverId, requestId, log);
+        result = await this.unmatchUser(jwtToken, senderId, receiverId, requestId, log, options.feedback);
       }
 
       const processDuration = Date.now() - processStart;
       log(`[${requestId}] ${interactionType} processed in ${processDuration}ms`);
 
+      // Explore destesinin exclusion cache'ini güncel tut
+      this.updateSeenSet(interactionType, senderId, receiverId, result);
+
       return {
         interactionType: interactionType,
         result: result,
@@ -67,6 +102,151 @@ class InteractionService {
     }
   }
 
+  validateBatchAction(action, requestedUserId, now) {
+    if (!action || typeof action !== 'object') {
+      return 'action must be an object';
+    }
+    if (!BATCH_ACTION_TYPES.includes(action.type)) {
+      return `type parameter must be one of: ${BATCH_ACTION_TYPES.join(', ')}`;
+    }
+    if (!action.receiverId || typeof action.receiverId !== 'string') {
+      return 'receiverId parameter is required';
+    }
+    if (action.receiverId === requestedUserId) {
+      return 'senderId and receiverId cannot be the same';
+    }
+    if (!action.idempotencyKey || typeof action.idempotencyKey !== 'string' ||
+      action.idempotencyKey.length > BATCH_MAX_IDEMPOTENCY_KEY_LENGTH) {
+      return `idempotencyKey parameter is required (max ${BATCH_MAX_IDEMPOTENCY_KEY_LENGTH} characters)`;
+    }
+
+    const clientTime = new Date(action.clientTimestamp);
+    if (action.clientTimestamp === undefined || isNaN(clientTime.getTime())) {
+      return 'clientTimestamp parameter must be a valid date';
+    }
+    if (clientTime.getTime() - now > BATCH_MAX_CLOCK_SKEW_MS) {
+      return 'clientTimestamp parameter cannot be in the future';
+    }
+
+    return null;
+  }
+
+  // Offline biriken swipe'ları sırayla işler; bir öğenin hatası diğerlerini durdurmaz
+  async processSwipeBatch(jwtToken, requestedUserId, actions, requestId, log) {
+    try {
+      const operationStart = Date.now();
+
+      const batchMaxItems = parseInt(process.env.INTERACTION_BATCH_MAX_ITEMS || '50');
+
+      if (!Array.isArray(actions) || actions.length === 0) {
+        throw new Error('actions parameter must be a non-empty array');
+      }
+      if (actions.length > batchMaxItems) {
+        throw new Error(`actions parameter cannot contain more than ${batchMaxItems} items`);
+      }
+
+      log(`[${requestId}] Processing swipe batch of ${actions.length} actions for user: ${requestedUserId}`);
+
+      const results = [];
+      const seenKeys = new Set();
+      const now = Date.now();
+
+      // Gönderilen sıra korunur: aynı kişiye önce dislike sonra like gibi akışlar client'taki gibi işlenir
+      for (let index = 0; index < actions.length; index++) {
+        const action = actions[index];
+        const itemBase = {
+          index,
+          idempotencyKey: action?.idempotencyKey ?? null,
+          type: action?.type ?? null,
+          receiverId: action?.receiverId ?? null
+        };
+
+        const validationError = this.validateBatchAction(action, requestedUserId, now);
+        if (validationError) {
+          results.push({ ...itemBase, status: 'failed', error: { type: 'general_argument_invalid', message: validationError } });
+          continue;
+        }
+
+        if (seenKeys.has(action.idempotencyKey)) {
+          results.push({ ...itemBase, status: 'failed', error: { type: 'general_argument_invalid', message: 'idempotencyKey is duplicated within the batch' } });
+          continue;
+        }
+        seenKeys.add(action.idempotencyKey);
+
+        const cached = idempotencyCache.get(requestedUserId, action.idempotencyKey);
+        if (cached) {
+          results.push({ ...itemBase, status: 'duplicate', result: cached });
+          continue;
+        }
+
+        try {
+          const { result } = await this.handleUserInteraction(
+            action.type,
+            requestedUserId,
+            action.receiverId,
+            jwtToken,
+            requestedUserId,
+            requestId,
+            log
+          );
+
+          const itemResult = { ...result, clientTimestamp: new Date(action.clientTimestamp).toISOString() };
+          idempotencyCache.set(requestedUserId, action.idempotencyKey, itemResult);
+          results.push({ ...itemBase, status: 'success', result: itemResult });
+
+        } catch (itemError) {
+          // Başarısız öğeler cache'lenmez, client aynı key ile tekrar deneyebilir
+          log(`[${requestId}] Batch item ${index} (${action.type} -> ${action.receiverId}) failed: ${itemError.message}`);
+          results.push({
+            ...itemBase,
+            status: 'failed',
+            error: {
+              type: itemError.message?.includes('quota exceeded') ? 'quota_exceeded' : 'processing_error',
+              message: itemError.message
+            }
+          });
+        }
+      }
+
+      const matches = results
+        .filter(item => item.status !== 'failed' && item.result?.isMatch)
+        .map(item => ({ receiverId: item.receiverId, matchId: item.result.matchId }));
+
+      const summary = {
+        total: results.length,
+        succeeded: results.filter(item => item.status === 'success').length,
+        duplicates: results.filter(item => item.status === 'duplicate').length,
+        failed: results.filter(item => item.status === 'failed').length,
+        matches
+      };
+
+      const operationDuration = Date.now() - operationStart;
+      log(`[${requestId}] Swipe batch completed in ${operationDuration}ms: ${summary.succeeded} ok, ${summary.duplicates} duplicate, ${summary.failed} failed, ${matches.length} matches`);
+
+      return { results, summary, operationDuration };
+
+    } catch (error) {
+      log(`[${requestId}] ERROR in processSwipeBatch: ${error.message}`);
+      throw error;
+    }
+  }
+
+  updateSeenSet(interactionType, senderId, receiverId, result) {
+    if (interactionType === 'like' || interactionType === 'superlike') {
+      seenSetCache.add(senderId, 'recentLikes', receiverId);
+      if (result?.isMatch) {
+        seenSetCache.add(senderId, 'matches', receiverId);
+        seenSetCache.add(receiverId, 'matches', senderId);
+      }
+    } else if (interactionType === 'dislike') {
+      seenSetCache.add(senderId, 'recentDislikes', receiverId);
+    } else if (interactionType === 'block') {
+      seenSetCache.add(senderId, 'blocks', receiverId);
+    } else if (interactionType === 'unblock') {
+      seenSetCache.remove(senderId, 'blocks', receiverId);
+    }
+  }
+
   async getAllInteractions(jwtToken, requestedUserId, requestId, log, options = {}) {
     try {
       const operationStart = Date.now();
@@ -80,82 +260,67 @@ class InteractionService {
         includeMatches = true,
         includeBlocks = true,
         includeDislikes = true,
-        limit = 100
+        limit = 100,
+        cursor = null
       } = options;
 
+      // Her liste için ayrı cursorAfter tutulur, biten listeler "done" olarak işaretlenir
+      const decodedCursor = decodeCursor(cursor);
+      const cursorAfter = decodedCursor?.after || {};
+      const exhaustedLists = new Set(decodedCursor?.done || []);
+
       // Sadece istenen sorguları hazırla
       const queries = [];
       const queryNames = [];
 
+      const addPagedQuery = (queryName, collectionId, filters) => {
+        if (exhaustedLists.has(queryName)) return;
+
+        const pageFilters = [
+          ...filters,
+          Query.orderDesc('$createdAt'),
+          Query.limit(limit)
+        ];
+        if (cursorAfter[queryName]) {
+          pageFilters.push(Query.cursorAfter(cursorAfter[queryName]));
+        }
+
+        queries.push(appwriteService.listDocuments(jwtToken, collectionId, pageFilters));
+        queryNames.push(queryName);
+      };
+
       if (includeLikes) {
-        queries.push(
-          // Alınan beğeniler
-          appwriteService.listDocuments(
-            jwtToken,
-            process.env.DB_COLLECTION_LIKES_ID,
-            [
-              Query.equal('likedId', requestedUserId),
-              Query.isNull('matchId'),
-              Query.limit(limit)
-            ]
-          ),
-          // Gönderilen beğeniler
-          appwriteService.listDocuments(
-            jwtToken,
-            process.env.DB_COLLECTION_LIKES_ID,
-            [
-              Query.equal('likerId', requestedUserId),
-              Query.isNull('matchId'),
-              Query.limit(limit)
-            ]
-          )
-        );
-        queryNames.push('receivedLikes', 'sentLikes');
+        // Alınan beğeniler
+        addPagedQuery('receivedLikes', process.env.DB_COLLECTION_LIKES_ID, [
+          Query.equal('likedId', requestedUserId),
+          Query.isNull('matchId')
+        ]);
+        // Gönderilen beğeniler
+        addPagedQuery('sentLikes', process.env.DB_COLLECTION_LIKES_ID, [
+          Query.equal('likerId', requestedUserId),
+          Query.isNull('matchId')
+        ]);
       }
 
       if (includeMatches) {
-        queries.push(
-          appwriteService.listDocuments(
-            jwtToken,
-            process.env.DB_COLLECTION_MATCHES_ID,
-            [
-              Query.or([
-                Query.equal('userFirst', requestedUserId),
-                Query.equal('userSecond', requestedUserId)
-              ]),
-              Query.limit(limit)
-            ]
-          )
-        );
-        queryNames.push('matches');
+        addPagedQuery('matches', process.env.DB_COLLECTION_MATCHES_ID, [
+          Query.or([
+            Query.equal('userFirst', requestedUserId),
+            Query.equal('userSecond', requestedUserId)
+          ])
+        ]);
       }
 
       if (includeBlocks) {
-        queries.push(
-          appwriteService.listDocuments(
-            jwtToken,
-            process.env.DB_COLLECTION_BLOCKS_ID,
-            [
-              Query.equal('blockerId', requestedUserId),
-              Query.limit(limit)
-            ]
-          )
-        );
-        queryNames.push('blocks');
+        addPagedQuery('blocks', process.env.DB_COLLECTION_BLOCKS_ID, [
+          Query.equal('blockerId', requestedUserId)
+        ]);
       }
 
       if (includeDislikes) {
-        queries.push(
-          appwriteService.listDocuments(
-            jwtToken,
-            process.env.DB_COLLECTION_DISLIKES_ID,
-            [
-              Query.equal('dislikerId', requestedUserId),
-              Query.limit(limit)
-            ]
-          )
-        );
-        queryNames.push('dislikes');
+        addPagedQuery('dislikes', process.env.DB_COLLECTION_DISLIKES_ID, [
+          Query.equal('dislikerId', requestedUserId)
+        ]);
       }
 
       // Paralel sorgu execution
@@ -213,6 +378,13 @@ class InteractionService {
       // Sonuçları organize et ve photos işle
       const interactions = {};
       const summary = {};
+      const nextAfter = {};
+      const doneLists = [...exhaustedLists];
+
+      // Önceki sayfalarda biten listeler boş döner
+      exhaustedLists.forEach(queryName => {
+        interactions[queryName] = [];
+      });
 
       results.forEach((result, index) => {
         const queryName = queryNames[index];
@@ -221,8 +393,20 @@ class InteractionService {
 
         interactions[queryName] = processedDocuments;
         summary[`${queryName}Count`] = result.total;
+
+        // Tam sayfa geldiyse devamı olabilir
+        if (result.documents.length === limit) {
+          nextAfter[queryName] = result.documents[result.documents.length - 1].$id;
+        } else {
+          doneLists.push(queryName);
+        }
       });
 
+      const hasMore = Object.keys(nextAfter).length > 0;
+      const nextCursor = hasMore
+        ? encodeCursor({ after: nextAfter, done: doneLists })
+        : null;
+
       // Sonuçları logla
       log(`[${requestId}] Query results:`);
       queryNames.forEach(queryName => {
@@ -233,6 +417,8 @@ class InteractionService {
       return {
         interactions,
         summary,
+        hasMore,
+        nextCursor,
         operationDuration,
         queriesExecuted: queryNames
       };
@@ -440,10 +626,8 @@ class InteractionService {
           'userSecondRef': occupantsPair[1],
           'createDate': new Date().toISOString()
         },
-        [
-          { userId: occupantsPair[0], permissions: ['read', 'update', 'delete', 'write'] },
-          { userId: occupantsPair[1], permissions: ['read', 'update', 'delete', 'write'] }
-        ]
+        [{ userId: userId2, permissions: ['read'] }],
+        MATCH_OWNER_PERMISSIONS
       );
 
       log(`[${requestId}] Match record created: ${newMatch.$id}`);
@@ -561,20 +745,30 @@ class InteractionService {
         return { action: 'already_disliked', dislikeId: existingDislikes.documents[0].$id };
       }
 
-      // Create new dislike record
-      const newDislike = await appwriteService.createDocumentWithAdminPrivileges(
-        jwtToken,
-        senderId,
-        process.env.DB_COLLECTION_DISLIKES_ID,
-        'unique()',
-        {
-          'dislikerId': senderId,
-          'dislikedId': receiverId
-        },
-        [
-          { userId: senderId, permissions: ['read', 'delete'] }
-        ]
-      );
+      // Create new dislike record (deterministic ID - rewind ile adreslenebilir)
+      const dislikeId = generateDocumentId('dislike', senderId, receiverId);
+      let newDislike;
+      try {
+        newDislike = await appwriteService.createDocumentWithAdminPrivileges(
+          jwtToken,
+          senderId,
+          process.env.DB_COLLECTION_DISLIKES_ID,
+          dislikeId,
+          {
+            'dislikerId': senderId,
+            'dislikedId': receiverId
+          },
+          [
+            { userId: senderId, permissions: ['read', 'delete'] }
+          ]
+        );
+      } catch (createError) {
+        if (createError.code === 409) {
+          log(`[${requestId}] Dislike already exists (race condition)`);
+          return { action: 'already_disliked', dislikeId };
+        }
+        throw createError;
+      }
 
       const operationDuration = Date.now() - operationStart;
       log(`[${requestId}] Dislike operation completed in ${operationDuration}ms`);
@@ -592,8 +786,302 @@ class InteractionService {
   }
 
 
+  async rewindLastSwipe(jwtToken, requestingUser, requestId, log) {
+    try {
+      const operationStart = Date.now();
+      const userId = requestingUser.$id;
+      const appwriteService = AppwriteService.getInstance();
+      log(`[${requestId}] Starting rewindLastSwipe for user: ${userId}`);
+
+      // Son swipe bu süre içindeyse geri alınabilir (env, dotenv yüklendikten sonra okunmalı)
+      const rewindWindowMinutes = parseInt(process.env.INTERACTION_REWIND_WINDOW_MINUTES || '10');
+      const windowStart = new Date(Date.now() - rewindWindowMinutes * 60 * 1000).toISOString();
+
+      // Son dislike ve son eşleşmemiş like (re-like $updatedAt'i günceller)
+      const [lastDislikes, lastLikes] = await Promise.all([
+        appwriteService.listDocuments(
+          jwtToken,
+          process.env.DB_COLLECTION_DISLIKES_ID,
+          [
+            Query.equal('dislikerId', userId),
+            Query.greaterThanEqual('$createdAt', windowStart),
+            Query.orderDesc('$createdAt'),
+            Query.limit(1)
+          ]
+        ),
+        appwriteService.listDocuments(
+          jwtToken,
+          process.env.DB_COLLECTION_LIKES_ID,
+          [
+            Query.equal('likerId', userId),
+            Query.isNull('matchId'),
+            Query.greaterThanEqual('$updatedAt', windowStart),
+            Query.orderDesc('$updatedAt'),
+            Query.limit(1)
+          ]
+        )
+      ]);
+
+      const lastDislike = lastDislikes.documents[0] || null;
+      const lastLike = lastLikes.documents[0] || null;
+
+      if (!lastDislike && !lastLike) {
+        throw new Error(`Rewindable swipe not found in the last ${rewindWindowMinutes} minutes`);
+      }
+
+      const rewindLike = lastLike &&
+        (!lastDislike || new Date(lastLike.$updatedAt) > new Date(lastDislike.$createdAt));
+      const swipe = rewindLike
+        ? { type: 'like', document: lastLike, targetUserId: lastLike.likedId, collectionId: process.env.DB_COLLECTION_LIKES_ID }
+        : { type: 'dislike', document: lastDislike, targetUserId: lastDislike.dislikedId, collectionId: process.env.DB_COLLECTION_DISLIKES_ID };
+
+      log(`[${requestId}] Last swipe: ${swipe.type} -> ${swipe.targetUserId}`);
+
+      const quotaResult = await appwriteService.quotaManager.checkAndConsumeQuota(jwtToken, userId, 'REWIND', 1);
+      if (!quotaResult.success) {
+        throw new Error(`Rewind quota exceeded. Next reset at ${quotaResult.nextResetAt}`);
+      }
+
+      // Like'lar istemciye salt-okunur; silme admin olarak yapılır.
+      // Silme başarısızsa (veya çift dokunuşta doküman zaten silinmişse) rewind hakkı iade edilir
+      try {
+        await appwriteService.deleteDocumentWithAdminPrivileges(jwtToken, swipe.collectionId, swipe.document.$id);
+      } catch (deleteError) {
+        await appwriteService.quotaManager.refundQuota(jwtToken, userId, 'REWIND', 1)
+          .catch(refundError => log(`[${requestId}] Failed to refund rewind quota: ${refundError.message}`));
+        if (deleteError.code === 404) {
+          throw new Error('Rewindable swipe not found: it was already rewound');
+        }
+        throw deleteError;
+      }
+
+      if (swipe.type === 'like') {
+        seenSetCache.remove(userId, 'recentLikes', swipe.targetUserId);
+      } else {
+        seenSetCache.remove(userId, 'recentDislikes', swipe.targetUserId);
+      }
+
+      // Client kartı tekrar gösterebilsin diye explore ile aynı formatta döndür
+      const [targetProfile, userProfile] = await Promise.all([
+        appwriteService.getDocument(jwtToken, process.env.DB_COLLECTION_PROFILES_ID, swipe.targetUserId)
+          .catch(err => err.code === 404 ? null : Promise.reject(err)),
+        appwriteService.getDocument(jwtToken, process.env.DB_COLLECTION_PROFILES_ID, userId)
+      ]);
+
+      let card = null;
+      if (targetProfile) {
+        [card] = await exploreService.enrichSwipeCards(
+          jwtToken,
+          [targetProfile],
+          requestId,
+          log,
+          userProfile.geohash || null
+        );
+      }
+
+      const operationDuration = Date.now() - operationStart;
+      log(`[${requestId}] Rewind completed in ${operationDuration}ms`);
+
+      return {
+        action: 'rewound',
+        rewoundType: swipe.type,
+        targetUserId: swipe.targetUserId,
+        card,
+        quotaInfo: {
+          remaining: quotaResult.remaining,
+          dailyLimit: quotaResult.dailyLimit
+        },
+        operationDuration
+      };
+
+    } catch (error) {
+      log(`[${requestId}] ERROR in rewindLastSwipe: ${error.message}`);
+      if (error.message.includes('not found in the last') || error.message.includes('quota exceeded')) {
+        throw error;
+      }
+      throw new Error(`Failed to rewind last swipe: ${error.message}`);
+    }
+  }
+
+  validateReportRequest(reporterId, reportedId, report) {
+    const { reason, details = '', messageIds = [], photoIds = [] } = report;
+
+    if (!reportedId) throw new Error('receiverId parameter is required');
+    if (reporterId === reportedId) throw new Error('reporter and reported user cannot be the same');
+    if (!reason) throw new Error('reason parameter is required');
+    if (!REPORT_REASONS.includes(reason)) {
+      throw new Error(`reason parameter must be one of: ${REPORT_REASONS.join(', ')}`);
+    }
+    if (typeof details !== 'string' || details.length > REPORT_MAX_DETAILS_LENGTH) {
+      throw new Error(`details parameter must be a string up to ${REPORT_MAX_DETAILS_LENGTH} characters`);
+    }
+    if (!Array.isArray(messageIds) || messageIds.length > REPORT_MAX_MESSAGE_EVIDENCE ||
+      messageIds.some(id => typeof id !== 'string' || id.trim() === '')) {
+      throw new Error(`messageIds parameter must be an array of up to ${REPORT_MAX_MESSAGE_EVIDENCE} IDs`);
+    }
+    if (!Array.isArray(photoIds) || photoIds.length > REPORT_MAX_PHOTO_EVIDENCE ||
+      photoIds.some(id => typeof id !== 'string' || id.trim() === '')) {
+      throw new Error(`photoIds parameter must be an array of up to ${REPORT_MAX_PHOTO_EVIDENCE} IDs`);
+    }
+  }
+
+  // Kanıt olarak sadece iki kullanıcı arasındaki mesajlar ve şikayet edilenin fotoğrafları kabul edilir
+  async verifyReportEvidence(jwtToken, reporterId, reportedId, messageIds, photoIds) {
+    const appwriteService = AppwriteService.getInstance();
+
+    const [messages, photos] = await Promise.all([
+      messageIds.length > 0
+        ? appwriteService.listDocuments(jwtToken, process.env.DB_COLLECTION_MESSAGES_ID, [
+          Query.equal('$id', messageIds),
+          Query.limit(messageIds.length)
+        ])
+        : { documents: [] },
+      photoIds.length > 0
+        ? appwriteService.listDocuments(jwtToken, process.env.DB_COLLECTION_PROFILE_MEDIA_ID, [
+          Query.equal('$id', photoIds),
+          Query.equal('userId', reportedId),
+          Query.limit(photoIds.length)
+        ])
+        : { documents: [] }
+    ]);
+
+    const pair = [reporterId, reportedId];
+    const verifiedMessageIds = messages.documents
+      .filter(message => pair.includes(message.senderId) && pair.includes(message.receiverId))
+      .map(message => message.$id);
+    const verifiedPhotoIds = photos.documents.map(photo => photo.$id);
+
+    return {
+      messageIds: verifiedMessageIds,
+      photoIds: verifiedPhotoIds,
+      rejectedMessageIds: messageIds.filter(id => !verifiedMessageIds.includes(id)),
+      rejectedPhotoIds: photoIds.filter(id => !verifiedPhotoIds.includes(id))
+    };
+  }
+
+  async reportUser(jwtToken, reporterId, reportedId, report, requestId, log) {
+    try {
+      const operationStart = Date.now();
+      log(`[${requestId}] Starting reportUser: ${reporterId} -> ${reportedId}, reason=${report.reason}`);
+
+      this.validateReportRequest(reporterId, reportedId, report);
+
+      const { reason, details = '', messageIds = [], photoIds = [], block = false } = report;
+      const appwriteService = AppwriteService.getInstance();
+      const reportId = generateDocumentId('report', reporterId, reportedId);
+
+      const [evidence, existingReport] = await Promise.all([
+        this.verifyReportEvidence(jwtToken, reporterId, reportedId, [...new Set(messageIds)], [...new Set(photoIds)]),
+        appwriteService.getDocument(jwtToken, process.env.DB_COLLECTION_REPORTS_ID, reportId)
+          .catch(err => err.code === 404 ? null : Promise.reject(err))
+      ]);
+
+      const now = new Date().toISOString();
+      let reportDocument;
+      let action;
+
+      if (existingReport) {
+        // Aynı kişiden tekrar şikayet: yeni kayıt açma, kanıtı birleştir.
+        // İlk sebep ve açıklama korunur (şikayet sonradan hafifletilemesin), yenileri geçmişe eklenir
+        log(`[${requestId}] Report already exists, merging evidence: ${reportId}`);
+        const history = [
+          ...(existingReport.history || []),
+          JSON.stringify({ reason, details, reportedAt: now })
+        ].slice(-REPORT_MAX_HISTORY);
+
+        reportDocument = await appwriteService.updateDocumentWithAdminPrivileges(
+          jwtToken,
+          reporterId,
+          process.env.DB_COLLECTION_REPORTS_ID,
+          reportId,
+          {
+            reasons: [...new Set([...(existingReport.reasons || [existingReport.reason]), reason])],
+            history,
+            messageIds: [...new Set([...(existingReport.messageIds || []), ...evidence.messageIds])],
+            photoIds: [...new Set([...(existingReport.photoIds || []), ...evidence.photoIds])],
+            reportCount: (existingReport.reportCount || 1) + 1,
+            lastReportedAt: now
+          },
+          [],
+          REPORT_OWNER_PERMISSIONS
+        );
+        action = 'report_updated';
+      } else {
+        reportDocument = await appwriteService.createDocumentWithAdminPrivileges(
+          jwtToken,
+          reporterId,
+          process.env.DB_COLLECTION_REPORTS_ID,
+          reportId,
+          {
+            reporterId,
+            reportedId,
+            reason,
+            details,
+            reasons: [reason],
+            history: [],
+            messageIds: evidence.messageIds,
+            photoIds: evidence.photoIds,
+            status: 'pending',
+            reportCount: 1,
+            lastReportedAt: now
+          },
+          [],
+          REPORT_OWNER_PERMISSIONS
+        );
+        action = 'reported';
+      }
+
+      // İsteğe bağlı engelleme mevcut block akışından geçer
+      let blockResult = null;
+      if (block) {
+        blockResult = await this.blockUser(jwtToken, reporterId, reportedId, true, requestId, log);
+        this.updateSeenSet('block', reporterId, reportedId, blockResult);
+      }
+
+      try {
+        const postHog = appwriteService.getPostHogService();
+        if (postHog) {
+          await postHog.trackBusinessEvent('user_reported', {
+            report_id: reportId,
+            reason,
+            is_repeat: !!existingReport,
+            message_evidence_count: evidence.messageIds.length,
+            photo_evidence_count: evidence.photoIds.length,
+            blocked: !!block
+          }, reporterId);
+        }
+      } catch (trackingError) {
+        log(`[${requestId}] Failed to track report event: ${trackingError.message}`);
+      }
+
+      const operationDuration = Date.now() - operationStart;
+      log(`[${requestId}] Report operation completed in ${operationDuration}ms`);
+
+      return {
+        action,
+        reportId: reportDocument.$id,
+        status: reportDocument.status,
+        evidence: {
+          messageIds: evidence.messageIds,
+          photoIds: evidence.photoIds,
+          rejectedMessageIds: evidence.rejectedMessageIds,
+          rejectedPhotoIds: evidence.rejectedPhotoIds
+        },
+        block: blockResult,
+        operationDuration
+      };
+
+    } catch (error) {
+      log(`[${requestId}] ERROR in reportUser: ${error.message}`);
+      if (error.message.includes('parameter') || error.message.includes('cannot be the same')) {
+        throw error;
+      }
+      throw new Error(`Failed to report user: ${error.message}`);
+    }
+  }
+
   validateRequest(interactionType, senderId, receiverId, requestedUserId) {
-    const interactions = ['block', 'unblock', 'mute', 'unmute', 'like', 'dislike'];
+    const interactions = ['block', 'unblock', 'mute', 'unmute', 'like', 'superlike', 'dislike', 'unmatch'];
     const validationErrors = [];
 
     // Required field validation
@@ -880,20 +1368,42 @@ class InteractionService {
   }
 
 
-  async unmatchUser(jwtToken, matchId, requestId, log) {
+  // Eşleşmeyi kullanıcı çiftinden bulur, silme ve geri bildirim kaydını matchService'e bırakır
+  async unmatchUser(jwtToken, senderId, receiverId, requestId, log, feedback = {}) {
     try {
-      const operationStart = Date.now();
       const appwriteService = AppwriteService.getInstance();
+      const occupantsPair = [senderId, receiverId].sort();
 
-      await appwriteService.deleteDocumentsWithAdminPrivileges(
+      const matches = await appwriteService.listDocuments(
         jwtToken,
         process.env.DB_COLLECTION_MATCHES_ID,
         [
-          Query.equal('matchId', matchId)
+          Query.equal('userFirst', occupantsPair[0]),
+          Query.equal('userSecond', occupantsPair[1]),
+          Query.limit(1)
         ]
       );
 
+      if (matches.total === 0) {
+        throw new Error(`Match not found between ${senderId} and ${receiverId}`);
+      }
+
+      const { result } = await matchService.unmatch(
+        matches.documents[0].$id,
+        { $id: senderId },
+        jwtToken,
+        requestId,
+        log,
+        { ...feedback, source: 'interactions' }
+      );
+
+      return result;
+
     } catch (error) {
+      if (error.message.includes('not found') || error.message.includes('parameter')) {
+        throw error;
+      }
+
       log(`[${requestId}] ERROR in unmatch user: ${error.message}`);
 
       const errorResult = {
@@ -906,8 +1416,104 @@ class InteractionService {
     }
   }
 
-  async likeUser(jwtToken, senderId, receiverId, requestId, log) {
+  async superLikeUser(jwtToken, senderId, receiverId, requestId, log) {
+    try {
+      const appwriteService = AppwriteService.getInstance();
+      const likeId = generateDocumentId('like', senderId, receiverId);
+
+      // Zaten geçerli bir super like veya eşleşme varsa quota harcama
+      const existingLike = await appwriteService.getDocument(
+        jwtToken,
+        process.env.DB_COLLECTION_LIKES_ID,
+        likeId
+      ).catch(err => err.code === 404 ? null : Promise.reject(err));
+
+      if (existingLike?.matchId) {
+        return {
+          action: 'already_matched',
+          matchId: existingLike.matchId,
+          isSuperLike: !!existingLike.isSuperLike
+        };
+      }
+
+      if (existingLike?.isSuperLike && new Date(existingLike.expireDate) > new Date()) {
+        log(`[${requestId}] Super like still valid, quota not consumed`);
+        return {
+          action: 'already_super_liked',
+          likeId: existingLike.$id,
+          isMatch: false,
+          matchId: null,
+          isSuperLike: true
+        };
+      }
+
+      const quotaResult = await appwriteService.quotaManager.checkAndConsumeQuota(
+        jwtToken,
+        senderId,
+        'SUPER_LIKE',
+        1
+      );
+
+      if (!quotaResult.success) {
+        log(`[${requestId}] Super like quota exceeded for user: ${senderId}`);
+        throw new Error(`Super like quota exceeded. Next reset at ${quotaResult.nextResetAt}`);
+      }
+
+      let result;
+      try {
+        result = await this.likeUser(jwtToken, senderId, receiverId, requestId, log, { superLike: true });
+      } catch (likeError) {
+        await this.refundSuperLikeQuota(jwtToken, senderId, requestId, log);
+        throw likeError;
+      }
+
+      let quotaInfo = {
+        remaining: quotaResult.remaining,
+        dailyLimit: quotaResult.dailyLimit
+      };
+
+      if (!SUPER_LIKE_CONSUMING_ACTIONS.includes(result.action)) {
+        log(`[${requestId}] Super like had no effect (${result.action}), refunding quota`);
+        quotaInfo = (await this.refundSuperLikeQuota(jwtToken, senderId, requestId, log)) || quotaInfo;
+      }
+
+      return {
+        ...result,
+        quotaInfo
+      };
+
+    } catch (error) {
+      log(`[${requestId}] ERROR in superLikeUser: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // İade başarısız olursa asıl sonucu bozmaz, sadece loglanır
+  async refundSuperLikeQuota(jwtToken, senderId, requestId, log) {
+    try {
+      return await AppwriteService.getInstance().quotaManager.refundQuota(jwtToken, senderId, 'SUPER_LIKE', 1);
+    } catch (refundError) {
+      log(`[${requestId}] Failed to refund super like quota: ${refundError.message}`);
+      return null;
+    }
+  }
+
+  // Like'ı admin olarak yazar; izinler her yazımda yeniden kurulduğu için eski dokümanlar da salt-okunur olur
+  async updateLikeDocument(jwtToken, likerId, likedId, likeId, data) {
+    return AppwriteService.getInstance().updateDocumentWithAdminPrivileges(
+      jwtToken,
+      likerId,
+      process.env.DB_COLLECTION_LIKES_ID,
+      likeId,
+      data,
+      [{ userId: likedId, permissions: ['read'] }],
+      LIKE_OWNER_PERMISSIONS
+    );
+  }
+
+  async likeUser(jwtToken, senderId, receiverId, requestId, log, options = {}) {
     const operationStart = Date.now();
+    const { superLike = false } = options;
 
     try {
       // ===============================================
@@ -1017,17 +1623,34 @@ class InteractionService {
         if (isExpired) {
           // Update expired like
           log(`[${requestId}] Updating expired like`);
-          like = await appwriteService.updateDocument(
+          like = await this.updateLikeDocument(
             jwtToken,
-            process.env.DB_COLLECTION_LIKES_ID,
+            senderId,
+            receiverId,
             likeId,
             {
               expireDate: expirationDate.toISOString(),
               updatedAt: now.toISOString(),
-              matchId: null
+              matchId: null,
+              isSuperLike: superLike
             }
           );
           action = 're-liked';
+        } else if (superLike && !existingLike.isSuperLike) {
+          // Normal like super like'a yükseltiliyor
+          log(`[${requestId}] Upgrading existing like to super like`);
+          like = await this.updateLikeDocument(
+            jwtToken,
+            senderId,
+            receiverId,
+            likeId,
+            {
+              isSuperLike: true,
+              expireDate: expirationDate.toISOString(),
+              updatedAt: now.toISOString()
+            }
+          );
+          action = 'upgraded_to_super_like';
         } else {
           // Like still valid
           log(`[${requestId}] Like still valid`);
@@ -1049,13 +1672,13 @@ class InteractionService {
               likerRef: senderId,
               likedRef: receiverId,
               expireDate: expirationDate.toISOString(),
-              matchId: null
-
+              matchId: null,
+              isSuperLike: superLike
             },
             [
-              { userId: senderId, permissions: ['read', 'update', 'delete'] },
               { userId: receiverId, permissions: ['read'] }
-            ]
+            ],
+            LIKE_OWNER_PERMISSIONS
           );
           action = 'liked';
         } catch (error) {
@@ -1077,7 +1700,7 @@ class InteractionService {
       // ===============================================
       // 8️⃣ HANDLE MATCH CREATION
       // ===============================================
-      if (isReciprocalValid && action !== 'already_liked' && action !== 'already_matched') {
+      if (isReciprocalValid && action !== 'already_liked' && action !== 'already_matched' && action !== 'upgraded_to_super_like') {
         log(`[${requestId}] Creating match`);
 
         try {
@@ -1092,30 +1715,20 @@ class InteractionService {
               userFirstRef: [senderId, receiverId].sort()[0],
               userSecond: [senderId, receiverId].sort()[1],
               userSecondRef: [senderId, receiverId].sort()[1],
-              createDate: now.toISOString()
+              createDate: now.toISOString(),
+              // Politika açıksa ilk mesaj atılmazsa eşleşme bu tarihte sona erer
+              ...(MATCH_EXPIRY_CONFIG.isEnabled() && {
+                expireDate: MATCH_EXPIRY_CONFIG.getExpireDate(now).toISOString()
+              })
             },
-            [
-              { userId: senderId, permissions: ['read', 'update', 'delete'] },
-              { userId: receiverId, permissions: ['read', 'update', 'delete'] }
-            ]
+            [{ userId: receiverId, permissions: ['read'] }],
+            MATCH_OWNER_PERMISSIONS
           );
 
           // Update both likes with match ID (parallel)
           await Promise.all([
-            appwriteService.updateDocument(
-              jwtToken,
-              process.env.DB_COLLECTION_LIKES_ID,
-              likeId,
-              { matchId: matchId }
-            ),
-            appwriteService.updateDocumentWithAdminPrivileges(
-              jwtToken,
-              receiverId, // Important: correct userId for permissions
-              process.env.DB_COLLECTION_LIKES_ID,
-              reverseLikeId,
-              { matchId: matchId },
-              [{ userId: senderId, permissions: ['read'] }]
-            )
+            this.updateLikeDocument(jwtToken, senderId, receiverId, likeId, { matchId: matchId }),
+            this.updateLikeDocument(jwtToken, receiverId, senderId, reverseLikeId, { matchId: matchId })
           ]);
 
           // Create dialog synchronously (critical for consistency)
@@ -1158,6 +1771,7 @@ class InteractionService {
             likeId: like.$id,
             matchId: match.$id,
             isMatch: true,
+            isSuperLike: superLike,
             operationDuration
           };
 
@@ -1173,18 +1787,14 @@ class InteractionService {
             );
 
             // Update like with match ID
-            await appwriteService.updateDocument(
-              jwtToken,
-              process.env.DB_COLLECTION_LIKES_ID,
-              likeId,
-              { matchId: matchId }
-            );
+            await this.updateLikeDocument(jwtToken, senderId, receiverId, likeId, { matchId: matchId });
 
             return {
               action: 'matched',
               likeId: like.$id,
               matchId: existingMatch.$id,
               isMatch: true,
+              isSuperLike: superLike,
               operationDuration: Date.now() - operationStart
             };
           }
@@ -1195,8 +1805,8 @@ class InteractionService {
       // ===============================================
       // 9️⃣ SEND LIKE NOTIFICATION (if new like)
       // ===============================================
-      if (action === 'liked' || action === 're-liked') {
-        this.sendLikeNotificationAsync(senderId, receiverId, requestId, log);
+      if (action === 'liked' || action === 're-liked' || action === 'upgraded_to_super_like') {
+        this.sendLikeNotificationAsync(senderId, receiverId, requestId, log, { superLike });
       }
 
       // ===============================================
@@ -1210,6 +1820,7 @@ class InteractionService {
         likeId: like.$id,
         isMatch: false,
         matchId: null,
+        isSuperLike: !!like.isSuperLike,
         operationDuration
       };
 
@@ -1227,7 +1838,7 @@ class InteractionService {
   }
 
 
-  async sendLikeNotificationAsync(senderId, receiverId, requestId, log) {
+  async sendLikeNotificationAsync(senderId, receiverId, requestId, log, options = {}) {
     // Fire and forget pattern
     (async () => {
       try {
@@ -1245,11 +1856,11 @@ class InteractionService {
           // Continue with default name
         }
         
-        await appwriteService.sendLikeNotification(
-          senderId,
-          receiverId,
-          senderName
-        );
+        if (options.superLike) {
+          await appwriteService.sendSuperLikeNotification(senderId, receiverId, senderName);
+        } else {
+          await appwriteService.sendLikeNotification(senderId, receiverId, senderName);
+        }
       } catch (error) {
         log(`[${requestId}] Failed to send like notification: ${error.message}`);
       }
@@ -0,0 +1,62 @@
+// IdempotencyCache.js
+
+/**
+ * Batch swipe gönderimlerinde client'ın idempotency key'ine karşılık
+ * dönen sonucu bellekte tutar. Zayıf ağda aynı batch tekrar gönderilirse
+ * işlenmiş öğeler yeniden işlenmez, ilk sonuç aynen döner.
+ *
+ * Kayıtlar yalnızca bu process'in belleğindedir: sunucu yeniden başlarsa
+ * veya birden fazla instance çalışıyorsa tekrar gönderilen batch yeniden
+ * işlenir. Like/dislike akışı zaten var olan dokümanları kontrol ettiği için
+ * bu durumda yan etkiler tekrarlanmaz; ancak aynı batch için dönen sonuç
+ * ilk gönderimdekinden farklı olabilir (ör. 'liked' yerine 'already_liked').
+ */
+class IdempotencyCache {
+  constructor() {
+    this.entries = new Map(); // key: `${userId}:${idempotencyKey}` -> { result, cachedAt }
+  }
+
+  // Env değerleri dotenv yüklendikten sonra okunmalı; modül yüklenirken değil
+  get ttl() {
+    return parseInt(process.env.INTERACTION_IDEMPOTENCY_TTL_MS || '86400000'); // 24 saat
+  }
+
+  get maxEntries() {
+    return parseInt(process.env.INTERACTION_IDEMPOTENCY_MAX_ENTRIES || '20000');
+  }
+
+  _key(userId, idempotencyKey) {
+    return `${userId}:${idempotencyKey}`;
+  }
+
+  get(userId, idempotencyKey) {
+    const key = this._key(userId, idempotencyKey);
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() - entry.cachedAt > this.ttl) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.result;
+  }
+
+  set(userId, idempotencyKey, result) {
+    const key = this._key(userId, idempotencyKey);
+    this.entries.delete(key);
+
+    if (this.entries.size >= this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+
+    this.entries.set(key, { result, cachedAt: Date.now() });
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export default new IdempotencyCache();
@@ -3,22 +3,155 @@ import AppwriteService from '../../services/appwrite/AppwriteService.js';
 
 class MatchController {
 
-  async unmatch(req, res) {
+  async getMatches(req, res) {
     const { startTime, requestId, jwtToken, requestedUser } = req;
     const log = (message) => console.log(message);
     const error = (message, err) => console.error(message, err);
 
     try {
-      log(`[${requestId}] unmatch request started`);
+      log(`[${requestId}] getMatches request started`);
+      const { limit = 20, cursor } = req.query;
+      const parsedLimit = parseInt(limit);
+
+      if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+        throw new Error('limit parameter must be between 1 and 100');
+      }
+
+      const result = await matchService.getMatches(
+        jwtToken,
+        requestedUser.$id,
+        { limit: parsedLimit, cursor: cursor || null },
+        requestId,
+        log
+      );
+
+      const duration = Date.now() - startTime;
+      log(`[${requestId}] getMatches completed successfully in ${duration}ms`);
+
+      return res.status(200).json({
+        success: true,
+        code: 200,
+        message: 'Matches retrieved successfully',
+        data: result,
+        requestId: requestId,
+        duration: duration
+      });
+
+    } catch (serviceError) {
+      const duration = Date.now() - startTime;
+      error(`[${requestId}] getMatches failed after ${duration}ms:`, serviceError);
+      log(`[${requestId}] ERROR Details: ${serviceError.message}`);
+
+      let statusCode = 500;
+      let errorType = 'processing_error';
+      let errorMessage = serviceError.message || 'Unknown error';
+
+      if (errorMessage.includes('parameter')) {
+        statusCode = 400;
+        errorType = 'general_argument_invalid';
+      } else if (errorMessage.includes('unauthorized') ||
+        errorMessage.includes('JWT validation failed') ||
+        errorMessage.includes('token')) {
+        statusCode = 401;
+        errorType = 'general_unauthorized';
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        code: statusCode,
+        type: errorType,
+        message: errorMessage,
+        requestId: requestId,
+        duration: duration
+      });
+    }
+  }
+
+  async extend(req, res) {
+    const { startTime, requestId, jwtToken, requestedUser } = req;
+    const log = (message) => console.log(message);
+    const error = (message, err) => console.error(message, err);
+
+    try {
+      log(`[${requestId}] extend match request started`);
       const { matchId } = req.body;
 
       log(`[${requestId}] Request params: matchId=${matchId}, requesterId=${requestedUser.$id}`);
+      const result = await matchService.extendMatch(
+        jwtToken,
+        matchId,
+        requestedUser.$id,
+        requestId,
+        log
+      );
+
+      const duration = Date.now() - startTime;
+      log(`[${requestId}] extend match completed successfully in ${duration}ms`);
+
+      return res.status(200).json({
+        success: true,
+        code: 200,
+        message: 'Match extended successfully',
+        data: result,
+        requestId: requestId,
+        duration: duration
+      });
+
+    } catch (serviceError) {
+      const duration = Date.now() - startTime;
+      error(`[${requestId}] extend match failed after ${duration}ms:`, serviceError);
+      log(`[${requestId}] ERROR Details: ${serviceError.message}`);
+
+      let statusCode = 500;
+      let errorType = 'processing_error';
+      let errorMessage = serviceError.message || 'Unknown error';
+
+      if (errorMessage.includes('quota exceeded')) {
+        statusCode = 429;
+        errorType = 'quota_exceeded';
+      } else if (errorMessage.includes('parameter') ||
+        errorMessage.includes('no pending expiry') ||
+        errorMessage.includes('disabled')) {
+        statusCode = 400;
+        errorType = 'general_argument_invalid';
+      } else if (errorMessage.includes('Unauthorized') ||
+        errorMessage.includes('JWT validation failed') ||
+        errorMessage.includes('token')) {
+        statusCode = 401;
+        errorType = 'general_unauthorized';
+      } else if (errorMessage.includes('not found')) {
+        statusCode = 404;
+        errorType = 'general_not_found';
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        code: statusCode,
+        type: errorType,
+        message: errorMessage,
+        requestId: requestId,
+        duration: duration
+      });
+    }
+  }
+
+  async unmatch(req, res) {
+    const { startTime, requestId, jwtToken, requestedUser } = req;
+    const log = (message) => console.log(message);
+    const error = (message, err) => console.error(message, err);
+
+    try {
+      log(`[${requestId}] unmatch request started`);
+      const { matchId, reason, reasonText } = req.body;
+
+      log(`[${requestId}] Request params: matchId=${matchId}, requesterId=${requestedUser.$id}, reason=${reason}`);
       const result = await matchService.unmatch(
         matchId,
         requestedUser,
         jwtToken,
         requestId,
-        log
+        log,
+        { reason, reasonText, source: 'matches' }
       );
 
       const duration = Date.now() - startTime;
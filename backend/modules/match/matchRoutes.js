@@ -3,6 +3,14 @@ import matchController from './matchController.js';
 
 const router = express.Router();
 
+router.get('/matches', (req, res) => {
+  matchController.getMatches(req, res);
+});
+
+router.post('/matches/extend', (req, res) => {
+  matchController.extend(req, res);
+});
+
 router.post('/matches/unmatch', (req, res) => {
   matchController.unmatch(req, res);
 });
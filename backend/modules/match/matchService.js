@@ -1,19 +1,32 @@
 import AppwriteService from '../../services/appwrite/AppwriteService.js';
+import { encodeCursor, decodeCursor } from '../../utils/cursorUtils.js';
+import dialogService from '../dialog/dialogService.js';
+import profileService from '../profile/profileService.js';
+import { MATCH_EXPIRY_CONFIG, UNMATCH_CONFIG } from './utils/Constants.js';
 
 const { createQuery } = AppwriteService;
 const Query = createQuery();
 
+const EXPIRY_BATCH_SIZE = 100;
+const EXPIRY_MAX_BATCHES = 10;
+
 class MatchService {
 
-  async unmatch(matchId, requestedUser, jwtToken, requestId, log) {
+  async unmatch(matchId, requestedUser, jwtToken, requestId, log, feedback = {}) {
     try {
       // Validation
-      const validationErrors = this.validateRequest(matchId, requestedUser.$id);
+      const validationErrors = [
+        ...this.validateRequest(matchId, requestedUser.$id),
+        ...this.validateUnmatchFeedback(feedback)
+      ];
 
       if (validationErrors.length > 0) {
         const errorMessages = {
           'matchId': 'matchId parameter is required',
-          'requestedUserId': 'requestedUserId parameter is required'
+          'requestedUserId': 'requestedUserId parameter is required',
+          'invalid_reason': `reason parameter must be one of: ${UNMATCH_CONFIG.REASONS.join(', ')}`,
+          'invalid_reason_text': `reasonText parameter must be a string of at most ${UNMATCH_CONFIG.MAX_REASON_TEXT_LENGTH} characters`,
+          'reason_text_without_reason': 'reasonText parameter requires a reason'
         };
 
         const errorMessage = validationErrors.map(err =>
@@ -30,6 +43,14 @@ class MatchService {
 
       const result = await this.deleteMatch(jwtToken, matchId, requestedUser.$id, requestId, log);
 
+      // Geri bildirim kaydı başarısız olsa da unmatch tamamlanmış sayılır
+      try {
+        result.feedback = await this.recordUnmatch(jwtToken, requestedUser.$id, result, feedback, feedback.source || 'matches', requestId, log);
+      } catch (feedbackError) {
+        log(`[${requestId}] Failed to record unmatch feedback: ${feedbackError.message}`);
+        result.feedback = null;
+      }
+
       const processDuration = Date.now() - processStart;
 
       log(`[${requestId}] unmatch processed in ${processDuration}ms`);
@@ -46,6 +67,414 @@ class MatchService {
     }
   }
 
+  // Kullanıcının eşleşmeleri; karşı tarafın profili ve dialog'un son mesajıyla birlikte
+  async getMatches(jwtToken, requestedUserId, filters, requestId, log) {
+    try {
+      const operationStart = Date.now();
+      const { limit = 20, cursor = null } = filters;
+      log(`[${requestId}] Starting getMatches for user: ${requestedUserId}, limit=${limit}, cursor=${cursor ? 'yes' : 'none'}`);
+
+      const decodedCursor = decodeCursor(cursor);
+      const appwriteService = AppwriteService.getInstance();
+
+      const matchFilters = [
+        Query.or([
+          Query.equal('userFirst', requestedUserId),
+          Query.equal('userSecond', requestedUserId)
+        ]),
+        Query.orderDesc('$createdAt'),
+        Query.limit(limit)
+      ];
+      if (decodedCursor?.after) {
+        matchFilters.push(Query.cursorAfter(decodedCursor.after));
+      }
+
+      const matches = await appwriteService.listDocuments(
+        jwtToken,
+        process.env.DB_COLLECTION_MATCHES_ID,
+        matchFilters
+      );
+
+      const matchIds = matches.documents.map(match => match.$id);
+      const otherUserIds = matches.documents.map(match =>
+        match.userFirst === requestedUserId ? match.userSecond : match.userFirst
+      );
+
+      let dialogs = { documents: [] };
+      let profiles = { documents: [] };
+      let coverMediaByUserId = new Map();
+      if (matchIds.length > 0) {
+        [dialogs, profiles, coverMediaByUserId] = await Promise.all([
+          appwriteService.listDocuments(
+            jwtToken,
+            process.env.DB_COLLECTION_DIALOGS_ID,
+            [Query.equal('matchId', matchIds), Query.limit(matchIds.length)]
+          ),
+          appwriteService.listDocuments(
+            jwtToken,
+            process.env.DB_COLLECTION_PROFILES_ID,
+            [Query.equal('$id', otherUserIds), Query.limit(otherUserIds.length)]
+          ),
+          profileService.getCoverMediaByUserIds(jwtToken, otherUserIds)
+        ]);
+      }
+
+      const dialogsByMatchId = new Map(dialogs.documents.map(dialog => [dialog.matchId, dialog]));
+      const profilesById = new Map(profiles.documents.map(profile => [profile.$id, profile]));
+
+      const newMatches = [];
+      const conversations = [];
+
+      matches.documents.forEach((match, index) => {
+        const otherUserId = otherUserIds[index];
+        const profile = profilesById.get(otherUserId);
+        const dialog = dialogsByMatchId.get(match.$id);
+
+        // Profili silinmiş kullanıcıların eşleşmeleri listelenmez
+        if (!profile) return;
+
+        // Kapak, profil medyasında displayOrder'a göre ilk fotoğrafın thumbnail'ıdır
+        const coverMedia = coverMediaByUserId.get(otherUserId);
+        const item = {
+          matchId: match.$id,
+          matchedAt: match.createDate || match.$createdAt,
+          dialogId: dialog?.$id || null,
+          user: {
+            $id: otherUserId,
+            username: profile.username,
+            photoUrl: coverMedia ? (coverMedia.thumbnailUrl || coverMedia.url) : null,
+            photoBlurHash: coverMedia?.blurHash || null
+          },
+          lastMessage: dialog?.lastMessage || null,
+          lastMessageSenderId: dialog?.lastMessageSenderId || null,
+          lastMessageAt: dialog?.lastMessage ? dialog.updatedAt : null,
+          expireDate: dialog?.lastMessage ? null : (match.expireDate || null),
+          isBlocked: (dialog?.blockedIds || []).length > 0
+        };
+
+        if (item.lastMessage) {
+          conversations.push(item);
+        } else {
+          newMatches.push(item);
+        }
+      });
+
+      // Sohbetler son mesaja göre, yeni eşleşmeler eşleşme zamanına göre (sorgu sırası) listelenir
+      conversations.sort((a, b) => new Date(b.lastMessageAt) - new Date(a.lastMessageAt));
+
+      const lastMatch = matches.documents[matches.documents.length - 1];
+      const hasMore = matches.documents.length === limit;
+
+      log(`[${requestId}] getMatches completed in ${Date.now() - operationStart}ms: ${newMatches.length} new, ${conversations.length} conversations`);
+
+      return {
+        newMatches,
+        conversations,
+        total: matches.total,
+        hasMore,
+        nextCursor: hasMore && lastMatch ? encodeCursor({ after: lastMatch.$id }) : null
+      };
+
+    } catch (error) {
+      log(`[${requestId}] ERROR in getMatches: ${error.message}`);
+
+      if (error.message.includes('Invalid cursor')) {
+        throw error;
+      }
+      throw new Error(`Failed to get matches: ${error.message}`);
+    }
+  }
+
+  // İlk mesajı bekleyen eşleşmenin süresini uzatır, MATCH_EXTEND kotası tüketir
+  async extendMatch(jwtToken, matchId, requestedUserId, requestId, log) {
+    try {
+      if (!matchId) {
+        throw new Error('matchId parameter is required');
+      }
+      if (!MATCH_EXPIRY_CONFIG.isEnabled()) {
+        throw new Error('Match expiry is disabled, extend is not available');
+      }
+
+      const appwriteService = AppwriteService.getInstance();
+      const match = await appwriteService.getDocument(
+        jwtToken,
+        process.env.DB_COLLECTION_MATCHES_ID,
+        matchId
+      ).catch(err => {
+        if (err.code === 404) throw new Error(`Match not found: ${matchId}`);
+        throw err;
+      });
+
+      if (requestedUserId !== match.userFirst && requestedUserId !== match.userSecond) {
+        throw new Error('Unauthorized: User is not part of this match');
+      }
+
+      const now = new Date();
+      if (!match.expireDate) {
+        throw new Error('Match has no pending expiry to extend');
+      }
+      if (new Date(match.expireDate) <= now) {
+        throw new Error(`Match not found: ${matchId} has already expired`);
+      }
+
+      const quotaResult = await appwriteService.quotaManager.checkAndConsumeQuota(
+        jwtToken,
+        requestedUserId,
+        'MATCH_EXTEND',
+        1
+      );
+      if (!quotaResult.success) {
+        throw new Error(`Match extend quota exceeded. Next reset at ${quotaResult.nextResetAt}`);
+      }
+
+      const expireDate = new Date(new Date(match.expireDate).getTime() + MATCH_EXPIRY_CONFIG.EXTEND_HOURS * 60 * 60 * 1000);
+
+      // Match dokümanı istemciler için salt okunur; hatırlatma yeni süreye göre tekrar gönderilebilsin
+      try {
+        await appwriteService.patchDocumentWithAdminPrivileges(
+          jwtToken,
+          process.env.DB_COLLECTION_MATCHES_ID,
+          matchId,
+          {
+            expireDate: expireDate.toISOString(),
+            expiryReminderSentAt: null,
+            extendCount: (match.extendCount || 0) + 1
+          }
+        );
+      } catch (updateError) {
+        await appwriteService.quotaManager.refundQuota(jwtToken, requestedUserId, 'MATCH_EXTEND', 1)
+          .catch(refundError => log(`[${requestId}] Failed to refund MATCH_EXTEND quota: ${refundError.message}`));
+        throw updateError;
+      }
+
+      log(`[${requestId}] Match ${matchId} extended by ${requestedUserId} until ${expireDate.toISOString()}`);
+
+      return {
+        action: 'extended',
+        matchId,
+        expireDate: expireDate.toISOString(),
+        quotaInfo: {
+          remaining: quotaResult.remaining,
+          dailyLimit: quotaResult.dailyLimit
+        }
+      };
+
+    } catch (error) {
+      log(`[${requestId}] ERROR in extendMatch: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Zamanlanmış iş tarafından çağrılır: süresi yaklaşanlara hatırlatma gönderir,
+   * süresi dolan ve hâlâ mesajsız olan eşleşmeleri deleteDialog ile temizler.
+   */
+  async processMatchExpiry(now, log) {
+    if (!MATCH_EXPIRY_CONFIG.isEnabled()) {
+      return { enabled: false };
+    }
+
+    const stats = { expired: 0, reminded: 0, conversationStarted: 0, failed: 0 };
+
+    await this.forEachPendingMatchBatch(
+      [Query.lessThanEqual('expireDate', now.toISOString())],
+      stats,
+      (match, dialog) => this.expireMatch(match, dialog, log),
+      'expired'
+    );
+
+    const reminderUntil = new Date(now.getTime() + MATCH_EXPIRY_CONFIG.REMINDER_HOURS_BEFORE * 60 * 60 * 1000);
+    await this.forEachPendingMatchBatch(
+      [
+        Query.greaterThan('expireDate', now.toISOString()),
+        Query.lessThanEqual('expireDate', reminderUntil.toISOString()),
+        Query.isNull('expiryReminderSentAt')
+      ],
+      stats,
+      (match) => this.sendExpiryReminder(match, now, log),
+      'reminded'
+    );
+
+    log(`Match expiry processed: ${JSON.stringify(stats)}`);
+    return stats;
+  }
+
+  // İşlenen eşleşmeler sorgudan düştüğü için cursor yerine ilerleme olduğu sürece aynı sorgu tekrarlanır
+  async forEachPendingMatchBatch(filters, stats, handler, statKey) {
+    const appwriteService = AppwriteService.getInstance();
+
+    for (let batch = 0; batch < EXPIRY_MAX_BATCHES; batch++) {
+      const matches = await appwriteService.listDocumentsWithAdminPrivileges(
+        null,
+        process.env.DB_COLLECTION_MATCHES_ID,
+        [...filters, Query.orderAsc('expireDate'), Query.limit(EXPIRY_BATCH_SIZE)]
+      );
+      if (matches.documents.length === 0) return;
+
+      const dialogs = await appwriteService.listDocumentsWithAdminPrivileges(
+        null,
+        process.env.DB_COLLECTION_DIALOGS_ID,
+        [
+          Query.equal('matchId', matches.documents.map(match => match.$id)),
+          Query.limit(matches.documents.length)
+        ]
+      );
+      const dialogsByMatchId = new Map(dialogs.documents.map(dialog => [dialog.matchId, dialog]));
+
+      let progressed = 0;
+      for (const match of matches.documents) {
+        const dialog = dialogsByMatchId.get(match.$id);
+        try {
+          if (dialog?.lastMessage) {
+            // Konuşma başlamış, eşleşme artık süresiz
+            await appwriteService.patchDocumentWithAdminPrivileges(
+              null,
+              process.env.DB_COLLECTION_MATCHES_ID,
+              match.$id,
+              { expireDate: null }
+            );
+            stats.conversationStarted++;
+          } else {
+            await handler(match, dialog);
+            stats[statKey]++;
+          }
+          progressed++;
+        } catch (error) {
+          stats.failed++;
+          console.log(`[MATCH_EXPIRY] Failed to process match ${match.$id}: ${error.message}`);
+        }
+      }
+
+      if (progressed === 0 || matches.documents.length < EXPIRY_BATCH_SIZE) return;
+    }
+  }
+
+  async expireMatch(match, dialog, log) {
+    const requestId = `match-expiry-${match.$id}`;
+    const result = await dialogService.deleteDialog(null, match.userSecond, match.userFirst, false, requestId, log);
+
+    // Eski kayıtlarda match/dialog ID'si deterministik olmayabilir
+    const appwriteService = AppwriteService.getInstance();
+    const leftovers = [];
+    if (!result.details.deleted.includes('match')) {
+      leftovers.push([process.env.DB_COLLECTION_MATCHES_ID, match.$id]);
+    }
+    if (dialog && !result.details.deleted.includes('dialog')) {
+      leftovers.push([process.env.DB_COLLECTION_DIALOGS_ID, dialog.$id]);
+    }
+    await Promise.all(leftovers.map(([collectionId, documentId]) =>
+      appwriteService.deleteDocumentWithAdminPrivileges(null, collectionId, documentId)
+        .catch(err => { if (err.code !== 404) throw err; })
+    ));
+
+    log(`Match ${match.$id} expired without a first message`);
+  }
+
+  async sendExpiryReminder(match, now, log) {
+    const appwriteService = AppwriteService.getInstance();
+    const hoursLeft = Math.max(1, Math.round((new Date(match.expireDate) - now) / (60 * 60 * 1000)));
+
+    const profiles = await appwriteService.listDocumentsWithAdminPrivileges(
+      null,
+      process.env.DB_COLLECTION_PROFILES_ID,
+      [Query.equal('$id', [match.userFirst, match.userSecond]), Query.limit(2)]
+    );
+    const namesById = new Map(profiles.documents.map(profile => [profile.$id, profile.username]));
+
+    // Önce işaretle: bildirim hatası tekrar tekrar hatırlatma göndermesin
+    await appwriteService.patchDocumentWithAdminPrivileges(
+      null,
+      process.env.DB_COLLECTION_MATCHES_ID,
+      match.$id,
+      { expiryReminderSentAt: now.toISOString() }
+    );
+
+    const pairs = [[match.userFirst, match.userSecond], [match.userSecond, match.userFirst]];
+    await Promise.allSettled(pairs.map(([userId, partnerId]) =>
+      appwriteService.sendMatchExpiringNotification(userId, partnerId, namesById.get(partnerId) || '', {
+        matchId: match.$id,
+        expireDate: match.expireDate,
+        hoursLeft
+      })
+    ));
+
+    log(`Expiry reminder sent for match ${match.$id} (${hoursLeft}h left)`);
+  }
+
+  validateUnmatchFeedback({ reason, reasonText } = {}) {
+    const validationErrors = [];
+
+    if (reason !== undefined && reason !== null && !UNMATCH_CONFIG.REASONS.includes(reason)) {
+      validationErrors.push('invalid_reason');
+    }
+    if (reasonText !== undefined && reasonText !== null) {
+      if (typeof reasonText !== 'string' || reasonText.length > UNMATCH_CONFIG.MAX_REASON_TEXT_LENGTH) {
+        validationErrors.push('invalid_reason_text');
+      } else if (!reason) {
+        validationErrors.push('reason_text_without_reason');
+      }
+    }
+
+    return validationErrors;
+  }
+
+  // Unmatch geçmişine yazar, uygunsuz/spam sebeplerini T&S için işaretler ve analitik event gönderir
+  async recordUnmatch(jwtToken, unmatcherId, deleteResult, feedback, source, requestId, log) {
+    const appwriteService = AppwriteService.getInstance();
+    const { reason = null, reasonText = null } = feedback;
+    const unmatchedId = deleteResult.users.find(userId => userId !== unmatcherId);
+    const flaggedForReview = UNMATCH_CONFIG.FLAGGED_REASONS.includes(reason);
+    const matchAgeHours = deleteResult.matchCreatedAt
+      ? Math.round((Date.now() - new Date(deleteResult.matchCreatedAt).getTime()) / (60 * 60 * 1000))
+      : null;
+
+    const record = await appwriteService.createDocumentWithAdminPrivileges(
+      jwtToken,
+      unmatcherId,
+      process.env.DB_COLLECTION_UNMATCHES_ID,
+      'unique()',
+      {
+        unmatcherId,
+        unmatchedId,
+        matchId: deleteResult.matchId,
+        reason,
+        reasonText: reasonText ? reasonText.trim() : null,
+        source,
+        flaggedForReview,
+        reviewStatus: flaggedForReview ? 'pending' : null,
+        hadConversation: deleteResult.hadConversation,
+        matchAgeHours,
+        unmatchedAt: new Date().toISOString()
+      }
+    );
+
+    log(`[${requestId}] Unmatch recorded: ${record.$id}, reason=${reason || 'none'}, flagged=${flaggedForReview}`);
+
+    try {
+      const postHog = appwriteService.getPostHogService();
+      if (postHog) {
+        await postHog.trackBusinessEvent('match_unmatched', {
+          match_id: deleteResult.matchId,
+          unmatch_id: record.$id,
+          reason: reason || 'unspecified',
+          has_reason_text: !!reasonText,
+          flagged_for_review: flaggedForReview,
+          had_conversation: deleteResult.hadConversation,
+          match_age_hours: matchAgeHours,
+          source
+        }, unmatcherId);
+      }
+    } catch (trackingError) {
+      log(`[${requestId}] Failed to track unmatch event: ${trackingError.message}`);
+    }
+
+    return {
+      unmatchId: record.$id,
+      reason,
+      flaggedForReview
+    };
+  }
+
   validateRequest(matchId, requestedUserId) {
     const validationErrors = [];
 
@@ -147,6 +576,9 @@ class MatchService {
       return {
         action: 'deleted',
         matchId: matchId,
+        users: [userFirst, userSecond],
+        matchCreatedAt: matchDocument.createDate || matchDocument.$createdAt,
+        hadConversation: dialogsQuery.documents.some(dialog => !!dialog.lastMessage),
         deletedCounts: {
           match: 1,
           likes: likesQuery.documents.length,
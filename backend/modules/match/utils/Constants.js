@@ -0,0 +1,36 @@
+// utils/Constants.js
+
+// Değerler her erişimde env'den okunur; modül dotenv yüklenmeden import ediliyor
+export const MATCH_EXPIRY_CONFIG = {
+  // 0 = kapalı; açıkken ilk mesaj gelmeyen eşleşme bu kadar saat sonra silinir
+  get EXPIRY_HOURS() {
+    return parseInt(process.env.MATCH_EXPIRY_HOURS || '0');
+  },
+
+  // Sona ermeden bu kadar saat önce her iki tarafa hatırlatma gönderilir
+  get REMINDER_HOURS_BEFORE() {
+    return parseInt(process.env.MATCH_EXPIRY_REMINDER_HOURS || '4');
+  },
+
+  // "Extend" aksiyonunun süreye eklediği saat (MATCH_EXTEND kotasını tüketir)
+  get EXTEND_HOURS() {
+    return parseInt(process.env.MATCH_EXTEND_HOURS || String(this.EXPIRY_HOURS || 24));
+  },
+
+  isEnabled() {
+    return this.EXPIRY_HOURS > 0;
+  },
+
+  getExpireDate(from) {
+    return new Date(from.getTime() + this.EXPIRY_HOURS * 60 * 60 * 1000);
+  }
+};
+
+export const UNMATCH_CONFIG = {
+  REASONS: ['not_interested', 'inappropriate', 'met_already', 'spam', 'other'],
+
+  // Bu sebepler trust & safety incelemesi için işaretlenir
+  FLAGGED_REASONS: ['inappropriate', 'spam'],
+
+  MAX_REASON_TEXT_LENGTH: 500
+};
@@ -9,7 +9,7 @@ class MessageController {
 
     try {
       log(`[${requestId}] Send message request started`);
-      const { message, senderId, receiverId, dialogId, messageType, imageBase64, metadata } = req.body;
+      const { message, senderId, receiverId, dialogId, messageType, imageBase64, metadata, replyToMessageId, waveform } = req.body;
 
 
       let validatedMetadata = null;
@@ -51,9 +51,9 @@ class MessageController {
       }
 
 
-      log(`[${requestId}] Request params: message=${message}, senderId=${senderId}, receiverId=${receiverId}, dialogId=${dialogId}, messageType=${messageType}, requesterId=${requestedUser.$id}`);
+      log(`[${requestId}] Request params: message=${message}, senderId=${senderId}, receiverId=${receiverId}, dialogId=${dialogId}, messageType=${messageType}, replyToMessageId=${replyToMessageId || 'none'}, requesterId=${requestedUser.$id}`);
       const appwriteService = new AppwriteService();
-      const newMessage = await appwriteService.sendMessage(jwtToken, senderId, receiverId, message, messageType, dialogId, imageBase64, validatedMetadata);
+      const newMessage = await appwriteService.sendMessage(jwtToken, senderId, receiverId, message, messageType, dialogId, imageBase64, validatedMetadata, replyToMessageId || null, waveform || null);
 
       const duration = Date.now() - startTime;
       log(`[${requestId}] Request completed successfully in ${duration}ms`);
@@ -74,7 +74,7 @@ class MessageController {
       let statusCode = 500;
       let errorType = 'processing_error';
 
-      if (e.message.includes('required') || e.message.includes('cannot be the same') || e.message.includes('unauthorized')) {
+      if (e.message.includes('required') || e.message.includes('cannot be the same') || e.message.includes('unauthorized') || e.message.includes('replyToMessageId') || e.message.includes('Invalid audio') || e.message.includes('Invalid image')) {
         statusCode = 400;
         errorType = 'general_argument_invalid';
       } else if (e.message.includes('blocked')) {
@@ -154,6 +154,106 @@ class MessageController {
       });
     }
   }
+
+  async addReaction(req, res) {
+    const { startTime, requestId, jwtToken, requestedUser } = req;
+    const log = (message) => console.log(message);
+    const error = (message, err) => console.error(message, err);
+
+    try {
+      log(`[${requestId}] Add reaction request started`);
+      const messageId = req.params.id;
+      const { reaction, notify } = req.body;
+
+      log(`[${requestId}] Add reaction params: messageId=${messageId}, reaction=${reaction}, requesterId=${requestedUser.$id}`);
+      const appwriteService = AppwriteService.getInstance();
+      const result = await appwriteService.addMessageReaction(
+        jwtToken,
+        requestedUser.$id,
+        messageId,
+        reaction,
+        { notify: notify !== false }
+      );
+
+      const duration = Date.now() - startTime;
+      log(`[${requestId}] Add reaction request completed successfully in ${duration}ms`);
+
+      return res.status(200).json({
+        success: true,
+        code: 200,
+        message: 'Reaction saved successfully',
+        data: result,
+        requestId: requestId,
+        duration: duration
+      });
+
+    } catch (e) {
+      return this.handleReactionError(e, res, requestId, startTime, 'Add reaction', log, error);
+    }
+  }
+
+  async removeReaction(req, res) {
+    const { startTime, requestId, jwtToken, requestedUser } = req;
+    const log = (message) => console.log(message);
+    const error = (message, err) => console.error(message, err);
+
+    try {
+      log(`[${requestId}] Remove reaction request started`);
+      const messageId = req.params.id;
+
+      log(`[${requestId}] Remove reaction params: messageId=${messageId}, requesterId=${requestedUser.$id}`);
+      const appwriteService = AppwriteService.getInstance();
+      const result = await appwriteService.removeMessageReaction(jwtToken, requestedUser.$id, messageId);
+
+      const duration = Date.now() - startTime;
+      log(`[${requestId}] Remove reaction request completed successfully in ${duration}ms`);
+
+      return res.status(200).json({
+        success: true,
+        code: 200,
+        message: 'Reaction removed successfully',
+        data: result,
+        requestId: requestId,
+        duration: duration
+      });
+
+    } catch (e) {
+      return this.handleReactionError(e, res, requestId, startTime, 'Remove reaction', log, error);
+    }
+  }
+
+  handleReactionError(e, res, requestId, startTime, label, log, error) {
+    const duration = Date.now() - startTime;
+    error(`[${requestId}] ${label} request failed after ${duration}ms:`, e);
+    log(`[${requestId}] ERROR Details: ${e.message}`);
+
+    let statusCode = 500;
+    let errorType = 'processing_error';
+
+    if (e.message.includes('required') || e.message.includes('Invalid reaction')) {
+      statusCode = 400;
+      errorType = 'general_argument_invalid';
+    } else if (e.message.includes('blocked')) {
+      statusCode = 400;
+      errorType = 'has_blocked_participants';
+    } else if (e.message.includes('not a participant')) {
+      statusCode = 403;
+      errorType = 'general_forbidden';
+    } else if (e.message.includes('not found')) {
+      statusCode = 404;
+      errorType = 'general_not_found';
+    } else if (e.message.includes('JWT validation failed')) {
+      statusCode = 401;
+      errorType = 'general_unauthorized';
+    }
+
+    return res.status(statusCode).json({
+      code: statusCode,
+      type: errorType,
+      message: e.message || 'Unknown error',
+      requestId: requestId
+    });
+  }
 }
 
 export default new MessageController();
\ No newline at end of file
@@ -11,4 +11,12 @@ router.post('/messages/sendDirectMessage', (req, res) => {
   messageController.sendDirectMessage(req, res);
 });
 
+router.post('/messages/:id/reactions', (req, res) => {
+  messageController.addReaction(req, res);
+});
+
+router.delete('/messages/:id/reactions', (req, res) => {
+  messageController.removeReaction(req, res);
+});
+
 export default router;
\ No newline at end of file
@@ -155,7 +155,8 @@ class MessageService {
         dialogId,
         {
           'lastMessage': message,
-          'lastMessageSenderId': senderId
+          'lastMessageSenderId': senderId,
+          'lastMessageOverrides': [] // yeni mesaj herkesin önizlemesi olur
         },
         [
           { userId: receiverId, permissions: ['read'] }
@@ -1,4 +1,5 @@
 import profileService from './profileService.js';
+import verificationService from './verificationService.js';
 import AppwriteService from '../../services/appwrite/AppwriteService.js';
 import { ERROR_CODES, AppError, ErrorHandler } from '../../utils/errorConstants.js';
 
@@ -169,6 +170,201 @@ class ProfileController {
     }
   }
 
+  async viewProfile(req, res) {
+    const { startTime, requestId, jwtToken, requestedUser } = req;
+    const log = (message) => console.log(message);
+
+    try {
+      log(`[${requestId}] viewProfile request started`);
+
+      const { userId } = req.body;
+
+      if (!userId || typeof userId !== 'string') {
+        throw new AppError(ERROR_CODES.REQUIRED_PARAMETER_MISSING, 'userId parameter is required');
+      }
+
+      const result = await profileService.viewProfile(
+        jwtToken,
+        requestedUser,
+        userId,
+        requestId,
+        log
+      );
+
+      const duration = Date.now() - startTime;
+      log(`[${requestId}] viewProfile completed successfully in ${duration}ms`);
+
+      return res.status(200).json({
+        success: true,
+        code: 200,
+        message: 'Profile retrieved successfully',
+        data: result,
+        requestId: requestId,
+        duration: duration
+      });
+
+    } catch (error) {
+      return ErrorHandler.handleControllerError(error, res, requestId, startTime);
+    }
+  }
+
+  async reorderPhotos(req, res) {
+    const { startTime, requestId, jwtToken, requestedUser } = req;
+    const log = (message) => console.log(message);
+
+    try {
+      log(`[${requestId}] reorderPhotos request started`);
+
+      const { mediaIds } = req.body;
+
+      if (!Array.isArray(mediaIds) || mediaIds.length === 0) {
+        throw new AppError(ERROR_CODES.REQUIRED_PARAMETER_MISSING, 'mediaIds parameter is required');
+      }
+      if (!mediaIds.every(id => typeof id === 'string' && id.length > 0)) {
+        throw new AppError(ERROR_CODES.INVALID_PARAMETER_TYPE, 'mediaIds must be an array of media IDs');
+      }
+
+      log(`[${requestId}] Request params: userId=${requestedUser.$id}, mediaIds=${mediaIds.join(',')}`);
+
+      const result = await profileService.reorderPhotos(
+        jwtToken,
+        requestedUser.$id,
+        mediaIds,
+        requestId,
+        log
+      );
+
+      const duration = Date.now() - startTime;
+      log(`[${requestId}] reorderPhotos completed successfully in ${duration}ms`);
+
+      return res.status(200).json({
+        success: true,
+        code: 200,
+        message: 'Photo order updated successfully',
+        data: result,
+        requestId: requestId,
+        duration: duration
+      });
+
+    } catch (error) {
+      return ErrorHandler.handleControllerError(error, res, requestId, startTime);
+    }
+  }
+
+  async createVerificationChallenge(req, res) {
+    const { startTime, requestId, jwtToken, requestedUser } = req;
+    const log = (message) => console.log(message);
+
+    try {
+      log(`[${requestId}] createVerificationChallenge request started`);
+
+      const result = await verificationService.createChallenge(
+        jwtToken,
+        requestedUser.$id,
+        requestId,
+        log
+      );
+
+      const duration = Date.now() - startTime;
+      log(`[${requestId}] createVerificationChallenge completed successfully in ${duration}ms`);
+
+      return res.status(200).json({
+        success: true,
+        code: 200,
+        message: 'Verification challenge created',
+        data: result,
+        requestId: requestId,
+        duration: duration
+      });
+
+    } catch (error) {
+      return ErrorHandler.handleControllerError(error, res, requestId, startTime);
+    }
+  }
+
+  async submitVerificationSelfie(req, res) {
+    const { startTime, requestId, jwtToken, requestedUser } = req;
+    const log = (message) => console.log(message);
+
+    try {
+      log(`[${requestId}] submitVerificationSelfie request started`);
+
+      const { challengeId, imageBase64 } = req.body;
+
+      if (!challengeId || typeof challengeId !== 'string') {
+        throw new AppError(ERROR_CODES.REQUIRED_PARAMETER_MISSING, 'challengeId parameter is required');
+      }
+      if (!imageBase64 || typeof imageBase64 !== 'string') {
+        throw new AppError(ERROR_CODES.REQUIRED_PARAMETER_MISSING, 'imageBase64 parameter is required');
+      }
+
+      log(`[${requestId}] Request params: userId=${requestedUser.$id}, imageBase64 length=${imageBase64.length}`);
+
+      const result = await verificationService.submitSelfie(
+        jwtToken,
+        requestedUser.$id,
+        challengeId,
+        imageBase64,
+        requestId,
+        log
+      );
+
+      const duration = Date.now() - startTime;
+      log(`[${requestId}] submitVerificationSelfie completed successfully in ${duration}ms`);
+
+      return res.status(200).json({
+        success: true,
+        code: 200,
+        message: result.verified ? 'Profile verified successfully' : 'Selfie verification failed',
+        data: result,
+        requestId: requestId,
+        duration: duration
+      });
+
+    } catch (error) {
+      return ErrorHandler.handleControllerError(error, res, requestId, startTime);
+    }
+  }
+
+  async getProfileViewers(req, res) {
+    const { startTime, requestId, jwtToken, requestedUser } = req;
+    const log = (message) => console.log(message);
+
+    try {
+      log(`[${requestId}] getProfileViewers request started`);
+
+      const { limit = 20, cursor } = req.query;
+      const parsedLimit = parseInt(limit);
+
+      if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+        throw new AppError(ERROR_CODES.PARAMETER_RANGE_INVALID, 'limit must be between 1 and 100');
+      }
+
+      const result = await profileService.getProfileViewers(
+        jwtToken,
+        requestedUser.$id,
+        { limit: parsedLimit, cursor: cursor || null },
+        requestId,
+        log
+      );
+
+      const duration = Date.now() - startTime;
+      log(`[${requestId}] getProfileViewers completed successfully in ${duration}ms`);
+
+      return res.status(200).json({
+        success: true,
+        code: 200,
+        message: 'Profile viewers retrieved successfully',
+        data: result,
+        requestId: requestId,
+        duration: duration
+      });
+
+    } catch (error) {
+      return ErrorHandler.handleControllerError(error, res, requestId, startTime);
+    }
+  }
+
   async updateProfile(req, res) {
     const { startTime, requestId, jwtToken, requestedUser } = req;
     const log = (message) => console.log(message);
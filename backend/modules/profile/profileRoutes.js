@@ -12,6 +12,14 @@ router.post('/profile/get', (req, res) => {
   profileController.getProfile(req, res);
 });
 
+router.post('/profile/view', (req, res) => {
+  profileController.viewProfile(req, res);
+});
+
+router.get('/profile/viewers', (req, res) => {
+  profileController.getProfileViewers(req, res);
+});
+
 router.post('/profile/update', (req, res) => {
   profileController.updateProfile(req, res);
 });
@@ -24,6 +32,18 @@ router.post('/profile/delete-photo', (req, res) => {
   profileController.deletePhoto(req, res);
 });
 
+router.patch('/profile/photos/order', (req, res) => {
+  profileController.reorderPhotos(req, res);
+});
+
+router.post('/profile/verification/challenge', (req, res) => {
+  profileController.createVerificationChallenge(req, res);
+});
+
+router.post('/profile/verification/selfie', (req, res) => {
+  profileController.submitVerificationSelfie(req, res);
+});
+
 // Yeni partial update endpoint'leri
 router.patch('/profile/about', (req, res) => {
   profileController.updateAbout(req, res);
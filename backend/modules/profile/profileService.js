@@ -2,13 +2,17 @@ import AppwriteService from '../../services/appwrite/AppwriteService.js';
 import { ImageAnnotatorClient } from '@google-cloud/vision';
 import { GoogleAuth } from "google-auth-library";
 import { S3Client, PutObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
-import { fileTypeFromBuffer } from 'file-type';
 import { randomBytes } from 'crypto';
 import { join } from 'path';
 import { readFileSync } from 'fs';
 
 import { ERROR_CODES, AppError } from '../../utils/errorConstants.js';
+import { QUOTA_DEFAULT_LIMITS } from '../../services/appwrite/utils/Constants.js';
 import { generatePhotoUrl, generatePhotoUrls } from '../../utils/photoUtils.js';
+import { encodeCursor, decodeCursor } from '../../utils/cursorUtils.js';
+import { generateDocumentId } from '#id-generator';
+import { sanitizeImage } from '../../utils/imageSanitizer.js';
+import { IMAGE_RENDITIONS, RENDITION_FORMAT, getRenditionKey, generateRenditions, generateBlurHash } from '../../utils/imageRenditions.js';
 
 import ProfileUtils from './utils/ProfileUtils.js';
 
@@ -21,6 +25,9 @@ const __dirname = path.dirname(__filename);
 const { createQuery } = AppwriteService;
 const Query = createQuery();
 
+// Görüntüleyen kaydı okuyabilir; sayaç ve tarih yalnızca sunucu tarafından güncellenir
+const VIEW_OWNER_PERMISSIONS = ['read'];
+
 class ProfileService {
 
   async createProfile(jwtToken, userId, username, email, birthDate, createDate, gender, countryCode, timezoneOffset, requestId, log) {
@@ -102,8 +109,12 @@ class ProfileService {
       const operationDuration = Date.now() - operationStart;
       log(`[${requestId}] Profile retrieved successfully in ${operationDuration}ms`);
 
-      const quotas = await appwriteService.quotaManager.getAllQuotaStatuses(jwtToken, userId);
+      const [quotas, verificationByUserId] = await Promise.all([
+        appwriteService.quotaManager.getAllQuotaStatuses(jwtToken, userId),
+        this.getVerificationsByUserIds(jwtToken, [userId])
+      ]);
       Object.assign(profile, { quotaStatus: quotas });
+      this.applyVerification(profile, verificationByUserId.get(userId));
 
       return profile;
     } catch (error) {
@@ -118,6 +129,245 @@ class ProfileService {
   }
 
 
+  // Başka bir kullanıcının tam profilini getir ve görüntülemeyi kaydet (deste kartları kaydedilmez)
+  async viewProfile(jwtToken, viewer, targetUserId, requestId, log) {
+    try {
+      const operationStart = Date.now();
+      const viewerId = viewer.$id;
+      log(`[${requestId}] Starting viewProfile: ${viewerId} -> ${targetUserId}`);
+
+      if (viewerId === targetUserId) {
+        throw new AppError(ERROR_CODES.INVALID_PARAMETER_VALUE, 'userId cannot be the requesting user');
+      }
+
+      const appwriteService = AppwriteService.getInstance();
+
+      // İki yönlü engel varsa profil yokmuş gibi davran
+      const blocks = await appwriteService.listDocuments(
+        jwtToken,
+        process.env.DB_COLLECTION_BLOCKS_ID,
+        [
+          Query.or([
+            Query.and([Query.equal('blockerId', viewerId), Query.equal('blockedId', targetUserId)]),
+            Query.and([Query.equal('blockerId', targetUserId), Query.equal('blockedId', viewerId)])
+          ]),
+          Query.limit(1)
+        ]
+      );
+      if (blocks.total > 0) {
+        throw new AppError(ERROR_CODES.PROFILE_NOT_FOUND, 'Profile not found');
+      }
+
+      let profile, medias, preferences, verificationByUserId;
+      try {
+        [profile, medias, preferences, verificationByUserId] = await Promise.all([
+          this.getProfileData(jwtToken, targetUserId),
+          this.getUserMediaWithOrder(jwtToken, targetUserId),
+          this.getProfilePreferences(jwtToken, targetUserId),
+          this.getVerificationsByUserIds(jwtToken, [targetUserId])
+        ]);
+      } catch (dbError) {
+        if (dbError.code === 404 || dbError.type === 'document_not_found') {
+          throw new AppError(ERROR_CODES.PROFILE_NOT_FOUND, 'Profile not found');
+        }
+        throw new AppError(ERROR_CODES.DATABASE_OPERATION_FAILED, dbError.message, dbError);
+      }
+
+      // Gizli mod açıksa iz bırakma; kayıt hatası profili göstermeyi engellemez
+      let viewResult = { action: 'skipped_incognito' };
+      if (!viewer?.prefs?.incognitoMode) {
+        try {
+          viewResult = await this.recordProfileView(jwtToken, viewerId, targetUserId, requestId, log);
+        } catch (viewError) {
+          log(`[${requestId}] Failed to record profile view: ${viewError.message}`);
+          viewResult = { action: 'failed' };
+        }
+      }
+
+      log(`[${requestId}] viewProfile completed in ${Date.now() - operationStart}ms, view=${viewResult.action}`);
+
+      return Object.assign(this.applyVerification(profile, verificationByUserId.get(targetUserId)), {
+        photosWithUrl: generatePhotoUrls(profile.photos || []),
+        medias,
+        preferences
+      });
+
+    } catch (error) {
+      log(`[${requestId}] ERROR in viewProfile: ${error.message}`);
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      throw new AppError(ERROR_CODES.PROCESSING_ERROR, error.message, error);
+    }
+  }
+
+  // Görüntüleme kaydı: görüntüleyen-görüntülenen çifti için tek doküman, günde en fazla bir artış
+  async recordProfileView(jwtToken, viewerId, viewedId, requestId, log) {
+    const appwriteService = AppwriteService.getInstance();
+    const viewId = generateDocumentId('view', viewerId, viewedId);
+    const now = new Date();
+    const viewDate = now.toISOString().substring(0, 10); // YYYY-MM-DD (UTC)
+
+    const existingView = await appwriteService.getDocument(
+      jwtToken,
+      process.env.DB_COLLECTION_PROFILE_VIEWS_ID,
+      viewId
+    ).catch(err => err.code === 404 ? null : Promise.reject(err));
+
+    if (existingView && existingView.viewDate === viewDate) {
+      return { action: 'already_viewed_today', viewId };
+    }
+
+    if (existingView) {
+      await appwriteService.updateDocumentWithAdminPrivileges(
+        jwtToken,
+        viewerId,
+        process.env.DB_COLLECTION_PROFILE_VIEWS_ID,
+        viewId,
+        {
+          lastViewedAt: now.toISOString(),
+          viewDate,
+          viewCount: (existingView.viewCount || 1) + 1
+        },
+        [{ userId: viewedId, permissions: ['read'] }],
+        VIEW_OWNER_PERMISSIONS
+      );
+      log(`[${requestId}] Profile view updated: ${viewId}`);
+      return { action: 'view_updated', viewId };
+    }
+
+    try {
+      await appwriteService.createDocumentWithAdminPrivileges(
+        jwtToken,
+        viewerId,
+        process.env.DB_COLLECTION_PROFILE_VIEWS_ID,
+        viewId,
+        {
+          viewerId,
+          viewedId,
+          viewerRef: viewerId,
+          lastViewedAt: now.toISOString(),
+          viewDate,
+          viewCount: 1
+        },
+        [{ userId: viewedId, permissions: ['read'] }],
+        VIEW_OWNER_PERMISSIONS
+      );
+    } catch (createError) {
+      if (createError.code === 409) {
+        return { action: 'already_viewed_today', viewId };
+      }
+      throw createError;
+    }
+
+    log(`[${requestId}] Profile view recorded: ${viewId}`);
+    return { action: 'view_recorded', viewId };
+  }
+
+  async getProfileViewers(jwtToken, userId, filters, requestId, log) {
+    try {
+      const operationStart = Date.now();
+      const { limit = 20, cursor = null } = filters;
+      log(`[${requestId}] Starting getProfileViewers for user: ${userId}, limit=${limit}, cursor=${cursor ? 'yes' : 'none'}`);
+
+      let decodedCursor;
+      try {
+        decodedCursor = decodeCursor(cursor);
+      } catch (cursorError) {
+        throw new AppError(ERROR_CODES.INVALID_PARAMETER_VALUE, 'cursor parameter is invalid');
+      }
+
+      const appwriteService = AppwriteService.getInstance();
+      const viewFilters = [
+        Query.equal('viewedId', userId),
+        Query.orderDesc('lastViewedAt'),
+        Query.limit(limit)
+      ];
+      if (decodedCursor?.after) {
+        viewFilters.push(Query.cursorAfter(decodedCursor.after));
+      }
+
+      const views = await appwriteService.listDocuments(
+        jwtToken,
+        process.env.DB_COLLECTION_PROFILE_VIEWS_ID,
+        viewFilters
+      );
+
+      const viewerIds = views.documents.map(view => view.viewerId);
+
+      // İki yönlü engel varsa görüntüleyen listede gösterilmez
+      const blockedIds = new Set();
+      if (viewerIds.length > 0) {
+        const blocks = await appwriteService.listDocuments(
+          jwtToken,
+          process.env.DB_COLLECTION_BLOCKS_ID,
+          [
+            Query.or([
+              Query.and([Query.equal('blockerId', userId), Query.equal('blockedId', viewerIds)]),
+              Query.and([Query.equal('blockerId', viewerIds), Query.equal('blockedId', userId)])
+            ]),
+            Query.limit(viewerIds.length * 2)
+          ]
+        );
+        blocks.documents.forEach(block => {
+          blockedIds.add(block.blockerId === userId ? block.blockedId : block.blockerId);
+        });
+      }
+
+      let profilesById = new Map();
+      if (viewerIds.length > 0) {
+        const profiles = await appwriteService.listDocuments(
+          jwtToken,
+          process.env.DB_COLLECTION_PROFILES_ID,
+          [
+            Query.equal('$id', viewerIds),
+            Query.limit(viewerIds.length)
+          ]
+        );
+        profilesById = new Map(profiles.documents.map(profile => [profile.$id, profile]));
+      }
+
+      // Silinmiş profiller listede gösterilmez
+      const viewers = views.documents
+        .filter(view => profilesById.has(view.viewerId) && !blockedIds.has(view.viewerId))
+        .map(view => {
+          const profile = profilesById.get(view.viewerId);
+          return {
+            viewerId: view.viewerId,
+            lastViewedAt: view.lastViewedAt,
+            viewCount: view.viewCount,
+            profile: {
+              ...profile,
+              photosWithUrl: generatePhotoUrls(profile.photos || [])
+            }
+          };
+        });
+
+      const lastView = views.documents[views.documents.length - 1];
+      const hasMore = views.documents.length === limit;
+
+      log(`[${requestId}] getProfileViewers completed in ${Date.now() - operationStart}ms, returned ${viewers.length} viewers`);
+
+      return {
+        viewers,
+        total: views.total,
+        hasMore,
+        nextCursor: hasMore && lastView ? encodeCursor({ after: lastView.$id }) : null
+      };
+
+    } catch (error) {
+      log(`[${requestId}] ERROR in getProfileViewers: ${error.message}`);
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      throw new AppError(ERROR_CODES.PROCESSING_ERROR, error.message, error);
+    }
+  }
+
   isInappropriate(values) {
     for (let index = 0; index < values.length; index++) {
       if (this.isInappropriateSingle(values[index])) {
@@ -275,13 +525,20 @@ class ProfileService {
           forcePathStyle: false,
         });
 
-        const deleteCommand = new DeleteObjectCommand({
-          Bucket: process.env.SPACES_BUCKET,
-          Key: photoKey,
-        });
+        // Rendition'lı yüklemelerde tüm boyutlar silinir; eski kayıtlarda tek obje var
+        const s3Keys = mediaToDelete.storageKey
+          ? Object.keys(IMAGE_RENDITIONS).map(name => getRenditionKey(mediaToDelete.storageKey, name))
+          : [photoKey];
+
+        for (const s3Key of s3Keys) {
+          const deleteCommand = new DeleteObjectCommand({
+            Bucket: process.env.SPACES_BUCKET,
+            Key: s3Key,
+          });
 
-        await spaces.send(deleteCommand);
-        log(`[${requestId}] Photo deleted from S3 with key: ${photoKey}`);
+          await spaces.send(deleteCommand);
+          log(`[${requestId}] Photo deleted from S3 with key: ${s3Key}`);
+        }
       } catch (s3Error) {
         throw new AppError(ERROR_CODES.S3_DELETE_ERROR, s3Error.message, s3Error);
       }
@@ -290,6 +547,7 @@ class ProfileService {
       try {
         await this.deleteProfileMedia(jwtToken, userId, mediaToDelete.$id);
         log(`[${requestId}] Photo deleted from profile media table and orders updated`);
+        await this.clearVerification(jwtToken, userId, requestId, log);
 
         // Get remaining media after deletion
         const remainingMedia = await this.getUserMediaWithOrder(jwtToken, userId);
@@ -320,6 +578,88 @@ class ProfileService {
 
 
 
+  /**
+   * Fotoğrafların sırasını, istemcinin gönderdiği tam listeye göre yeniden yazar.
+   * İlk fotoğraf kapak fotoğrafı olur (displayOrder = 1).
+   *
+   * Güncelleme iki aşamalıdır: yeri değişen kayıtlar önce geçici bir aralığa taşınır,
+   * sonra asıl sıralarına yazılır. Böylece hiçbir anda iki kayıt aynı displayOrder'a
+   * sahip olmaz; ikinci aşama yarıda kalırsa da göreli sıra korunur ve tekrar denenebilir.
+   */
+  async reorderPhotos(jwtToken, userId, mediaIds, requestId, log) {
+    try {
+      const operationStart = Date.now();
+      log(`[${requestId}] Starting reorderPhotos for user: ${userId}, count: ${mediaIds.length}`);
+
+      if (new Set(mediaIds).size !== mediaIds.length) {
+        throw new AppError(ERROR_CODES.INVALID_PARAMETER_VALUE, 'mediaIds must not contain duplicates');
+      }
+
+      const currentMedia = await this.getUserMediaWithOrder(jwtToken, userId);
+      const mediaById = new Map(currentMedia.map(media => [media.$id, media]));
+
+      const unknownIds = mediaIds.filter(id => !mediaById.has(id));
+      if (unknownIds.length > 0) {
+        throw new AppError(ERROR_CODES.PHOTO_NOT_FOUND, `Photos not found in user profile: ${unknownIds.join(', ')}`);
+      }
+
+      if (mediaIds.length !== currentMedia.length) {
+        throw new AppError(
+          ERROR_CODES.INVALID_PARAMETER_VALUE,
+          `mediaIds must list all ${currentMedia.length} photos, got ${mediaIds.length}`
+        );
+      }
+
+      const changes = mediaIds
+        .map((mediaId, index) => ({ mediaId, from: mediaById.get(mediaId).displayOrder, to: index + 1 }))
+        .filter(change => change.from !== change.to);
+
+      if (changes.length === 0) {
+        log(`[${requestId}] Photo order unchanged`);
+      } else {
+        const appwriteService = AppwriteService.getInstance();
+        const updateOrder = (mediaId, displayOrder) => appwriteService.updateDocument(
+          jwtToken,
+          process.env.DB_COLLECTION_PROFILE_MEDIA_ID,
+          mediaId,
+          { displayOrder }
+        );
+
+        // Geçici aralık mevcut en büyük sıranın üstünden başlar, gerçek sıralarla çakışmaz
+        const tempBase = Math.max(...currentMedia.map(media => media.displayOrder), mediaIds.length) + 1;
+
+        try {
+          await Promise.all(changes.map((change, index) => updateOrder(change.mediaId, tempBase + index)));
+          await Promise.all(changes.map(change => updateOrder(change.mediaId, change.to)));
+        } catch (dbError) {
+          throw new AppError(ERROR_CODES.PROFILE_UPDATE_FAILED, `Failed to update photo order: ${dbError.message}`, dbError);
+        }
+
+        log(`[${requestId}] Rewrote displayOrder for ${changes.length} photos`);
+        await this.clearVerification(jwtToken, userId, requestId, log);
+      }
+
+      const orderedMedia = await this.getUserMediaWithOrder(jwtToken, userId);
+      const operationDuration = Date.now() - operationStart;
+      log(`[${requestId}] reorderPhotos completed in ${operationDuration}ms`);
+
+      return {
+        medias: orderedMedia.map(media => this.formatMediaForResponse(media)),
+        coverPhotoUrl: orderedMedia[0]?.cardUrl || orderedMedia[0]?.url || null,
+        coverBlurHash: orderedMedia[0]?.blurHash || null,
+        changedCount: changes.length,
+        operationDuration
+      };
+
+    } catch (error) {
+      log(`[${requestId}] ERROR in reorderPhotos: ${error.message}`);
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError(ERROR_CODES.PROFILE_UPDATE_FAILED, error.message, error);
+    }
+  }
+
   generatePhotoUrl(photoKey) {
     const baseUrl = process.env.SPACES_CDN_ENDPOINT || process.env.SPACES_ENDPOINT;
     const bucket = process.env.SPACES_BUCKET;
@@ -496,14 +836,17 @@ class ProfileService {
   async createFullProfile(jwtToken, userId, username, email, birthDate, createDate, gender, countryCode, timezoneOffset) {
     const profileData = await this.createProfileData(jwtToken, userId, username, email, birthDate, createDate, gender, countryCode);
 
-    const [profileTimezoneTracking, profileQuotaDirectMessage, profileQuotaTranslate] = await Promise.all([
+    const [profileTimezoneTracking, profileQuotaDirectMessage, profileQuotaTranslate, profileQuotaSuperLike, profileQuotaRewind, profileQuotaMatchExtend] = await Promise.all([
       this.createProfileTimezoneTracking(jwtToken, userId, timezoneOffset, profileData.$id), // ✅
-      this.createProfileQuota(jwtToken, userId, 'DIRECT_MESSAGE', 5, 5, profileData.$id), // ✅
-      this.createProfileQuota(jwtToken, userId, 'TRANSLATE', 5, 5, profileData.$id) // ✅
+      this.createProfileQuota(jwtToken, userId, 'DIRECT_MESSAGE', QUOTA_DEFAULT_LIMITS.DIRECT_MESSAGE, QUOTA_DEFAULT_LIMITS.DIRECT_MESSAGE, profileData.$id), // ✅
+      this.createProfileQuota(jwtToken, userId, 'TRANSLATE', QUOTA_DEFAULT_LIMITS.TRANSLATE, QUOTA_DEFAULT_LIMITS.TRANSLATE, profileData.$id), // ✅
+      this.createProfileQuota(jwtToken, userId, 'SUPER_LIKE', QUOTA_DEFAULT_LIMITS.SUPER_LIKE, QUOTA_DEFAULT_LIMITS.SUPER_LIKE, profileData.$id),
+      this.createProfileQuota(jwtToken, userId, 'REWIND', QUOTA_DEFAULT_LIMITS.REWIND, QUOTA_DEFAULT_LIMITS.REWIND, profileData.$id),
+      this.createProfileQuota(jwtToken, userId, 'MATCH_EXTEND', QUOTA_DEFAULT_LIMITS.MATCH_EXTEND, QUOTA_DEFAULT_LIMITS.MATCH_EXTEND, profileData.$id)
     ]);
 
     return Object.assign(profileData, {
-      quotas: [profileQuotaDirectMessage, profileQuotaTranslate],
+      quotas: [profileQuotaDirectMessage, profileQuotaTranslate, profileQuotaSuperLike, profileQuotaRewind, profileQuotaMatchExtend],
       timezoneTracking: profileTimezoneTracking
     });
   }
@@ -638,6 +981,89 @@ class ProfileService {
     }
   }
 
+  // Liste özetleri için her kullanıcının kapak medyası (displayOrder'a göre ilk aktif medya)
+  async getCoverMediaByUserIds(jwtToken, userIds) {
+    const coverByUserId = new Map();
+    if (userIds.length === 0) return coverByUserId;
+
+    const appwriteService = AppwriteService.getInstance();
+    const media = await appwriteService.listDocuments(
+      jwtToken,
+      process.env.DB_COLLECTION_PROFILE_MEDIA_ID,
+      [
+        Query.equal('userId', userIds),
+        Query.equal('isActive', true),
+        Query.orderAsc('displayOrder'),
+        Query.limit(userIds.length * 10) // addProfileMedia kullanıcı başına en fazla 10 medya kabul eder
+      ]
+    );
+
+    media.documents.forEach(doc => {
+      if (!coverByUserId.has(doc.userId)) {
+        coverByUserId.set(doc.userId, doc);
+      }
+    });
+    return coverByUserId;
+  }
+
+  // Rozetin asıl kaydı istemcinin erişemediği koleksiyonda tutulur. Profildeki verified alanı sadece
+  // deste sorgusu için indeks; profil sahibi dokümana yazabildiği için tek başına güvenilmez
+  async getVerificationsByUserIds(jwtToken, userIds) {
+    const verificationByUserId = new Map();
+    if (userIds.length === 0) return verificationByUserId;
+
+    const appwriteService = AppwriteService.getInstance();
+    const verifications = await appwriteService.listDocumentsWithAdminPrivileges(
+      jwtToken,
+      process.env.DB_COLLECTION_PROFILE_VERIFICATIONS_ID,
+      [
+        Query.equal('userId', userIds),
+        Query.limit(userIds.length)
+      ]
+    );
+
+    verifications.documents.forEach(doc => verificationByUserId.set(doc.userId, doc));
+    return verificationByUserId;
+  }
+
+  // Profildeki verified/verifiedAt alanlarını sunucu kaydıyla ezer
+  applyVerification(profile, verification) {
+    return Object.assign(profile, {
+      verified: Boolean(verification),
+      verifiedAt: verification?.verifiedAt || null
+    });
+  }
+
+  // Fotoğraflar değişince rozet doğrulanan yüzle artık eşleşmeyebilir; kullanıcı yeniden doğrulamalı.
+  // Hata fotoğraf işlemini geri almaz, sadece loglanır
+  async clearVerification(jwtToken, userId, requestId, log) {
+    const appwriteService = AppwriteService.getInstance();
+    try {
+      await appwriteService.deleteDocumentWithAdminPrivileges(
+        jwtToken,
+        process.env.DB_COLLECTION_PROFILE_VERIFICATIONS_ID,
+        userId
+      );
+    } catch (error) {
+      if (error.code !== 404) {
+        log(`[${requestId}] Failed to clear verification: ${error.message}`);
+        return;
+      }
+    }
+
+    try {
+      await appwriteService.patchDocumentWithAdminPrivileges(
+        jwtToken,
+        process.env.DB_COLLECTION_PROFILES_ID,
+        userId,
+        { verified: false, verifiedAt: null }
+      );
+      log(`[${requestId}] Verification cleared after photo change`);
+    } catch (error) {
+      log(`[${requestId}] Failed to clear verified flag on profile: ${error.message}`);
+    }
+  }
+
   async getNextAvailableOrder(jwtToken, userId) {
     const existingMedia = await this.getUserMediaWithOrder(jwtToken, userId);
 
@@ -648,7 +1074,7 @@ class ProfileService {
     const maxOrder = Math.max(...existingMedia.map(m => m.displayOrder));
     return maxOrder + 1;
   }
-  async addProfileMedia(jwtToken, userId, profileId, mediaType, url, thumbnailUrl = null) {
+  async addProfileMedia(jwtToken, userId, profileId, mediaType, url, thumbnailUrl = null, extraFields = {}) {
     const existingMedia = await this.getUserMediaWithOrder(userId, jwtToken);
 
     if (existingMedia.length >= 10) {
@@ -669,7 +1095,8 @@ class ProfileService {
         displayOrder,
         isActive: true,
         thumbnailUrl,
-        profile: profileId
+        profile: profileId,
+        ...extraFields
       }, [
       { userId: userId, permissions: ['write', 'read', 'delete'] }
     ]
@@ -911,32 +1338,9 @@ class ProfileService {
     };
   }
 
+  // Dönen buffer metadata'sı temizlenmiş ve yönü düzeltilmiş görseldir
   async validateImageFormat(imageBase64, config) {
-    try {
-      const imageBuffer = Buffer.from(imageBase64, 'base64');
-      const fileInfo = await fileTypeFromBuffer(imageBuffer);
-
-      if (!fileInfo || !config.allowedFormats.includes(fileInfo.mime)) {
-        return {
-          valid: false,
-          buffer: imageBuffer,
-          error: {
-            code: 'IMAGE_FORMAT_INVALID',
-            message: `Only ${config.allowedFormats.join(', ')} images are allowed`
-          }
-        };
-      }
-
-      return { valid: true, buffer: imageBuffer };
-    } catch (error) {
-      return {
-        valid: false,
-        error: {
-          code: 'IMAGE_PROCESSING_ERROR',
-          message: 'Failed to process image data'
-        }
-      };
-    }
+    return sanitizeImage(imageBase64, config);
   }
 
   // 2. Google Vision API helper metodları
@@ -1019,7 +1423,7 @@ class ProfileService {
 
 
   // 3. S3 Upload helper
-  async uploadToS3(imageBuffer, key) {
+  async uploadToS3(imageBuffer, key, contentType = 'image/jpeg') {
     try {
       const spaces = new S3Client({
         endpoint: process.env.SPACES_ENDPOINT,
@@ -1036,7 +1440,7 @@ class ProfileService {
         Key: key,
         Body: imageBuffer,
         ACL: 'public-read',
-        ContentType: 'image/jpeg'
+        ContentType: contentType
       });
 
       await spaces.send(uploadCommand);
@@ -1052,6 +1456,44 @@ class ProfileService {
     }
   }
 
+  async deleteFromS3(key) {
+    try {
+      const spaces = new S3Client({
+        endpoint: process.env.SPACES_ENDPOINT,
+        region: process.env.SPACES_AWS_REGION,
+        credentials: {
+          accessKeyId: process.env.SPACES_ACCESS_KEY_ID,
+          secretAccessKey: process.env.SPACES_SECRET_ACCESS_KEY,
+        },
+        forcePathStyle: false,
+      });
+
+      await spaces.send(new DeleteObjectCommand({
+        Bucket: process.env.SPACES_BUCKET,
+        Key: key
+      }));
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: {
+          code: 'S3_DELETE_ERROR',
+          message: error.message
+        }
+      };
+    }
+  }
+
+  // Yarım kalan yüklemenin objelerini temizler; silinemeyenler sadece loglanır
+  async deleteRenditionsFromS3(keys, requestId, log) {
+    const deleteResults = await Promise.all(keys.map(renditionKey => this.deleteFromS3(renditionKey)));
+    deleteResults.forEach((deleteResult, index) => {
+      if (!deleteResult.success) {
+        log(`[${requestId}] Failed to clean up rendition ${keys[index]}: ${deleteResult.error.message}`);
+      }
+    });
+  }
+
   formatMediaForResponse(media) {
     return {
       id: media.$id,
@@ -1061,6 +1503,8 @@ class ProfileService {
       displayOrder: media.displayOrder,
       isActive: media.isActive,
       thumbnailUrl: media.thumbnailUrl,
+      cardUrl: media.cardUrl || null,
+      blurHash: media.blurHash || null,
       createdAt: media.$createdAt,
       updatedAt: media.$updatedAt
     };
@@ -1132,7 +1576,7 @@ class ProfileService {
       result.validations.sizeValid = true;
       log(`[${requestId}] Image size validation passed: ${sizeValidation.sizeInKB}KB`);
 
-      // Step 2: Format validation and buffer conversion
+      // Step 2: Format validation and sanitization (EXIF/GPS stripped, orientation applied)
       const formatValidation = await this.validateImageFormat(imageBase64, config);
       if (!formatValidation.valid) {
         result.errors.push(formatValidation.error);
@@ -1193,31 +1637,73 @@ class ProfileService {
       }
       log(`[${requestId}] Profile found`);
 
-      // Step 8: Generate key and upload to S3
+      // Step 8: Generate renditions (thumbnail, card, full) and the BlurHash placeholder
+      let renditions;
+      let blurHash;
+      try {
+        [renditions, blurHash] = await Promise.all([
+          generateRenditions(imageBuffer),
+          generateBlurHash(imageBuffer)
+        ]);
+      } catch (error) {
+        result.errors.push({
+          code: 'IMAGE_PROCESSING_ERROR',
+          message: 'Failed to process image'
+        });
+        result.operationDuration = Date.now() - operationStart;
+        return result;
+      }
+      log(`[${requestId}] Renditions generated: ${Object.entries(renditions).map(([name, r]) => `${name}=${r.width}x${r.height}`).join(', ')}`);
+
+      // Step 9: Upload renditions to S3 under keys derived from one base key
       const key = randomBytes(18).toString('hex').toLowerCase();
-      const uploadResult = await this.uploadToS3(imageBuffer, key);
-      if (!uploadResult.success) {
-        result.errors.push(uploadResult.error);
+      const renditionUrls = {};
+      const renditionKeys = [];
+      const uploadResults = await Promise.all(
+        Object.entries(renditions).map(([name, rendition]) => {
+          const renditionKey = getRenditionKey(key, name);
+          renditionKeys.push(renditionKey);
+          renditionUrls[name] = this.generatePhotoUrl(renditionKey);
+          return this.uploadToS3(rendition.buffer, renditionKey, RENDITION_FORMAT.contentType);
+        })
+      );
+      const failedUpload = uploadResults.find(uploadResult => !uploadResult.success);
+      if (failedUpload) {
+        // Yüklenebilen boyutlar S3'te sahipsiz kalmasın
+        await this.deleteRenditionsFromS3(
+          renditionKeys.filter((_, index) => uploadResults[index].success),
+          requestId,
+          log
+        );
+        result.errors.push(failedUpload.error);
         result.operationDuration = Date.now() - operationStart;
         return result;
       }
-      log(`[${requestId}] Photo uploaded to S3 with key: ${key}`);
+      log(`[${requestId}] Photo renditions uploaded to S3 with base key: ${key}`);
 
-      // Step 9: Add to profile media
+      // Step 10: Add to profile media
       try {
         const newMedia = await this.addProfileMedia(
           jwtToken,
           userId,
           profile.$id,
           'PHOTO',
-          this.generatePhotoUrl(key),
-          this.generatePhotoUrl(key)
+          renditionUrls.full,
+          renditionUrls.thumbnail,
+          {
+            cardUrl: renditionUrls.card,
+            storageKey: key,
+            blurHash
+          }
         );
 
+        await this.clearVerification(jwtToken, userId, requestId, log);
+
         // Prepare success result
         result.success = true;
         result.photoKey = key;
-        result.photoUrl = this.generatePhotoUrl(key);
+        result.photoUrl = renditionUrls.full;
+        result.renditions = renditionUrls;
         result.totalPhotos = (await this.getUserMediaWithOrder(jwtToken, userId)).length;
         result.newMedia = this.formatMediaForResponse(newMedia);
         result.operationDuration = Date.now() - operationStart;
@@ -1226,6 +1712,7 @@ class ProfileService {
         return result;
 
       } catch (error) {
+        await this.deleteRenditionsFromS3(renditionKeys, requestId, log);
         result.errors.push({
           code: 'PROFILE_UPDATE_FAILED',
           message: 'Failed to update user profile with new photo'
@@ -23,4 +23,17 @@ export const PROFILE_CONFIG = {
     IMPORTANT: 35,  // %35 - Önemli alanlar  
     OPTIONAL: 15    // %15 - Opsiyonel alanlar
   }
-};
\ No newline at end of file
+};
+
+export const VERIFICATION_CONFIG = {
+  // Challenge geçerlilik süresi (saniye)
+  CHALLENGE_TTL_SECONDS: 300,
+  // Ön kamera görüntüyü aynaladığı için yönsüz pozlar kullanılır (sağa/sola ayrımı yok)
+  POSES: ['SMILE', 'TILT_HEAD', 'TURN_HEAD'],
+  // TILT_HEAD / TURN_HEAD için gereken en az açı (derece)
+  POSE_ANGLE_DEGREES: 15,
+  // Karşılaştırmada kullanılan en fazla profil fotoğrafı
+  MAX_REFERENCE_PHOTOS: 6,
+  MAX_SELFIE_SIZE_MB: 10,
+  ALLOWED_FORMATS: ['image/jpeg']
+};
@@ -0,0 +1,247 @@
+import AppwriteService from '../../services/appwrite/AppwriteService.js';
+import { randomBytes, randomInt } from 'crypto';
+
+import { ERROR_CODES, AppError } from '../../utils/errorConstants.js';
+import { sanitizeImage } from '../../utils/imageSanitizer.js';
+import { createFaceComparator } from '../../services/appwrite/vision/FaceComparator.js';
+import { ANALYSIS_EVENTS, FACE_THRESHOLDS } from '../../services/appwrite/vision/ImageAnalysisConstants.js';
+import { VERIFICATION_CONFIG } from './utils/Constants.js';
+import profileService from './profileService.js';
+
+const POSITIVE_LIKELIHOODS = ['LIKELY', 'VERY_LIKELY'];
+
+// Challenge dokümanına istemci erişemez; pozu ve süreyi sadece sunucu okur ve yazar
+const CHALLENGE_OWNER_PERMISSIONS = [];
+
+// Doğrulama kaydı da sadece sunucuya açık; rozetin asıl kaynağı bu kayıttır
+const VERIFICATION_OWNER_PERMISSIONS = [];
+
+// Her poz için selfie'deki yüzün sağlaması gereken koşul
+const POSE_CHECKS = {
+  SMILE: (face) => POSITIVE_LIKELIHOODS.includes(face.emotions?.joy),
+  TILT_HEAD: (face) => Math.abs(face.angles?.roll || 0) >= VERIFICATION_CONFIG.POSE_ANGLE_DEGREES,
+  TURN_HEAD: (face) => Math.abs(face.angles?.pan || 0) >= VERIFICATION_CONFIG.POSE_ANGLE_DEGREES
+};
+
+class VerificationService {
+
+  constructor() {
+    this.comparator = null;
+  }
+
+  // Comparator ilk kullanımda oluşturulur; FACE_COMPARATOR env'i dotenv yüklendikten sonra okunmalı
+  getComparator() {
+    if (!this.comparator) {
+      this.comparator = createFaceComparator();
+    }
+    return this.comparator;
+  }
+
+  async createChallenge(jwtToken, userId, requestId, log) {
+    try {
+      const appwriteService = AppwriteService.getInstance();
+
+      const pose = VERIFICATION_CONFIG.POSES[randomInt(VERIFICATION_CONFIG.POSES.length)];
+      const challengeId = randomBytes(12).toString('hex');
+      const expiresAt = new Date(Date.now() + VERIFICATION_CONFIG.CHALLENGE_TTL_SECONDS * 1000).toISOString();
+
+      // Kullanıcı başına tek aktif challenge; yenisi eskisinin yerine geçer
+      await appwriteService.upsertDocumentWithAdminPrivileges(
+        jwtToken,
+        userId,
+        process.env.DB_COLLECTION_VERIFICATION_CHALLENGES_ID,
+        userId,
+        {
+          userId,
+          challengeId,
+          pose,
+          expiresAt
+        },
+        [],
+        CHALLENGE_OWNER_PERMISSIONS
+      );
+
+      log(`[${requestId}] Verification challenge issued: pose=${pose}`);
+
+      return { challengeId, pose, expiresAt };
+
+    } catch (error) {
+      log(`[${requestId}] ERROR in createChallenge: ${error.message}`);
+      throw new AppError(ERROR_CODES.DATABASE_OPERATION_FAILED, error.message, error);
+    }
+  }
+
+  async submitSelfie(jwtToken, userId, challengeId, imageBase64, requestId, log) {
+    const operationStart = Date.now();
+    log(`[${requestId}] Starting submitSelfie for user: ${userId}`);
+
+    try {
+      const appwriteService = AppwriteService.getInstance();
+
+      // Step 1: Challenge tek kullanımlık; sonuç ne olursa olsun tüketilir
+      const challenge = await this.consumeChallenge(jwtToken, userId, challengeId);
+      const { pose } = challenge;
+
+      // Step 2: Size, format and metadata sanitization
+      const sizeInBytes = Math.ceil(imageBase64.length * 3 / 4);
+      if (sizeInBytes > VERIFICATION_CONFIG.MAX_SELFIE_SIZE_MB * 1024 * 1024) {
+        throw new AppError(ERROR_CODES.IMAGE_TOO_LARGE, `Selfie exceeds ${VERIFICATION_CONFIG.MAX_SELFIE_SIZE_MB}MB limit`);
+      }
+
+      const sanitized = await sanitizeImage(imageBase64, { allowedFormats: VERIFICATION_CONFIG.ALLOWED_FORMATS });
+      if (!sanitized.valid) {
+        const errorCode = sanitized.error.code === 'IMAGE_TYPE_MISMATCH' ? ERROR_CODES.IMAGE_TYPE_MISMATCH : ERROR_CODES.IMAGE_FORMAT_INVALID;
+        throw new AppError(errorCode, sanitized.error.message);
+      }
+
+      const finish = async (result) => {
+        await this.trackVerificationEvent(userId, result, requestId, log);
+        const operationDuration = Date.now() - operationStart;
+        log(`[${requestId}] Selfie verification finished: verified=${result.verified}, reason=${result.reason || 'none'} in ${operationDuration}ms`);
+        return { ...result, pose, operationDuration };
+      };
+
+      // Step 3: Selfie'de tam olarak bir yüz olmalı ve istenen poz verilmiş olmalı
+      const selfieDetection = await appwriteService.detectFaces(sanitized.buffer);
+      const selfieFaces = selfieDetection.faces.filter(face => face.confidence >= FACE_THRESHOLDS.MIN_CONFIDENCE);
+
+      if (selfieFaces.length === 0) {
+        return finish({ verified: false, reason: 'SELFIE_NO_FACE' });
+      }
+      if (selfieFaces.length > 1) {
+        return finish({ verified: false, reason: 'SELFIE_MULTIPLE_FACES' });
+      }
+
+      const selfieFace = selfieFaces[0];
+      if (!POSE_CHECKS[pose](selfieFace)) {
+        return finish({ verified: false, reason: 'POSE_NOT_MATCHED' });
+      }
+
+      // Step 4: Profil fotoğraflarındaki yüzler
+      const referenceFaces = await this.getReferenceFaces(jwtToken, userId, requestId, log);
+      if (referenceFaces.length === 0) {
+        return finish({ verified: false, reason: 'NO_REFERENCE_FACE' });
+      }
+
+      // Step 5: Compare
+      const comparison = await this.getComparator().compare(selfieFace, referenceFaces);
+      log(`[${requestId}] Face comparison score: ${comparison.score.toFixed(3)} against ${referenceFaces.length} reference faces`);
+
+      if (!comparison.matched) {
+        return finish({ verified: false, reason: 'FACE_MISMATCH', score: comparison.score });
+      }
+
+      // Step 6: Rozet istemcinin erişemediği koleksiyona yazılır. Profil sahibi kendi profiline yazabildiği
+      // için profildeki verified alanı sadece deste sorgusu indeksidir, okuyanlar doğrulama kaydına bakar
+      const verifiedAt = new Date().toISOString();
+      await appwriteService.upsertDocumentWithAdminPrivileges(
+        jwtToken,
+        userId,
+        process.env.DB_COLLECTION_PROFILE_VERIFICATIONS_ID,
+        userId,
+        {
+          userId,
+          verifiedAt,
+          score: comparison.score
+        },
+        [],
+        VERIFICATION_OWNER_PERMISSIONS
+      );
+      await appwriteService.patchDocumentWithAdminPrivileges(
+        jwtToken,
+        process.env.DB_COLLECTION_PROFILES_ID,
+        userId,
+        {
+          verified: true,
+          verifiedAt
+        }
+      );
+
+      return finish({ verified: true, verifiedAt, score: comparison.score });
+
+    } catch (error) {
+      log(`[${requestId}] ERROR in submitSelfie: ${error.message}`);
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError(ERROR_CODES.PROCESSING_ERROR, error.message, error);
+    }
+  }
+
+  async consumeChallenge(jwtToken, userId, challengeId) {
+    const appwriteService = AppwriteService.getInstance();
+
+    let challenge;
+    try {
+      challenge = await appwriteService.getDocumentWithAdminPrivileges(
+        jwtToken,
+        process.env.DB_COLLECTION_VERIFICATION_CHALLENGES_ID,
+        userId
+      );
+    } catch (error) {
+      if (error.code === 404) {
+        throw new AppError(ERROR_CODES.VERIFICATION_CHALLENGE_INVALID, 'No active verification challenge');
+      }
+      throw error;
+    }
+
+    if (challenge.challengeId !== challengeId) {
+      throw new AppError(ERROR_CODES.VERIFICATION_CHALLENGE_INVALID, 'Verification challenge does not match');
+    }
+
+    await appwriteService.deleteDocumentWithAdminPrivileges(
+      jwtToken,
+      process.env.DB_COLLECTION_VERIFICATION_CHALLENGES_ID,
+      userId
+    );
+
+    if (new Date(challenge.expiresAt) <= new Date()) {
+      throw new AppError(ERROR_CODES.VERIFICATION_CHALLENGE_INVALID, 'Verification challenge has expired');
+    }
+
+    return challenge;
+  }
+
+  // Card boyutu yüz tespiti için yeterli ve tam boyuttan çok daha küçük
+  async getReferenceFaces(jwtToken, userId, requestId, log) {
+    const appwriteService = AppwriteService.getInstance();
+
+    const photos = (await profileService.getUserMediaWithOrder(jwtToken, userId))
+      .filter(media => media.mediaType === 'PHOTO')
+      .slice(0, VERIFICATION_CONFIG.MAX_REFERENCE_PHOTOS);
+
+    const detections = await Promise.allSettled(
+      photos.map(photo => appwriteService.detectFaces(photo.cardUrl || photo.url))
+    );
+
+    const referenceFaces = [];
+    detections.forEach((detection, index) => {
+      if (detection.status === 'rejected') {
+        log(`[${requestId}] Face detection failed for media ${photos[index].$id}: ${detection.reason?.message}`);
+        return;
+      }
+      detection.value.faces
+        .filter(face => face.confidence >= FACE_THRESHOLDS.MIN_CONFIDENCE)
+        .forEach(face => referenceFaces.push(face));
+    });
+
+    return referenceFaces;
+  }
+
+  async trackVerificationEvent(userId, result, requestId, log) {
+    try {
+      const postHog = AppwriteService.getInstance().getPostHogService();
+      if (postHog) {
+        await postHog.trackBusinessEvent(ANALYSIS_EVENTS.SELFIE_VERIFICATION_COMPLETED, {
+          verified: result.verified,
+          reason: result.reason || null,
+          score: result.score ?? null
+        }, userId);
+      }
+    } catch (trackingError) {
+      log(`[${requestId}] Failed to track verification event: ${trackingError.message}`);
+    }
+  }
+}
+
+export default new VerificationService();
@@ -12,6 +12,9 @@ import translateRouter from './api/translate/TranslateEndpoint.js';
 import directMessageRouter from './api/directmessage/DirectMessageEndpoint.js';
 import accountRouter from './api/account/AccountDeletionEndpoint.js';
 import publicAccountRouter from './api/account/PublicAccountDeletionEndpoint.js';
+import jobsRouter from './api/jobs/JobsEndpoint.js';
+
+import jobScheduler, { registerDefaultJobs } from './services/scheduler/index.js';
 
 import { ERROR_CODES, AppError, ErrorHandler } from './utils/errorConstants.js'
 
@@ -36,6 +39,9 @@ initializeApp({
 // Load environment variables
 dotenv.config();
 
+// İş tanımları env'leri okur; dotenv'den önce kaydedilmemeli
+registerDefaultJobs();
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -97,6 +103,9 @@ app.get('/delete-account.html', (req, res) => {
 // Public Account Management API (No Auth Required - MUST BE BEFORE authenticateUser)
 app.use('/api/account', publicAccountRouter);
 
+// Scheduled job management (JOBS_ADMIN_KEY ile korunur, kullanıcı auth'u yok)
+app.use('/internal/jobs', jobsRouter);
+
 // Apply authentication middleware ONLY for authenticated routes
 app.use('/api', authenticateUser);
 app.use('/api', dialogRoutes);
@@ -188,11 +197,13 @@ app.use((error, req, res, next) => {
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  jobScheduler.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  jobScheduler.stop();
   process.exit(0);
 });
 
@@ -214,6 +225,11 @@ app.listen(PORT, () => {
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
   console.log(`📚 API docs: http://localhost:${PORT}/`);
   console.log(`⏰ Started at: ${new Date().toISOString()}`);
+
+  // Birden fazla instance çalışıyorsa sadece birinde açık bırakın
+  if (process.env.ENABLE_SCHEDULED_JOBS !== 'false') {
+    jobScheduler.start();
+  }
 });
 
 export default app;
\ No newline at end of file
@@ -368,21 +368,21 @@ class AppwriteService {
   // Admin Operations (Backward Compatibility)
   // ======================
 
-  async createDocumentWithAdminPrivileges(jwtToken, requestingUserId, collectionId, documentId, data, additionalUsers = []) {
+  async createDocumentWithAdminPrivileges(jwtToken, requestingUserId, collectionId, documentId, data, additionalUsers = [], ownerPermissions) {
     return this.adminOps.createDocumentWithAdminPrivileges(
-      jwtToken, requestingUserId, collectionId, documentId, data, additionalUsers
+      jwtToken, requestingUserId, collectionId, documentId, data, additionalUsers, ownerPermissions
     );
   }
 
-  async updateDocumentWithAdminPrivileges(jwtToken, requestingUserId, collectionId, documentId, data, additionalUsers = []) {
+  async updateDocumentWithAdminPrivileges(jwtToken, requestingUserId, collectionId, documentId, data, additionalUsers = [], ownerPermissions) {
     return this.adminOps.updateDocumentWithAdminPrivileges(
-      jwtToken, requestingUserId, collectionId, documentId, data, additionalUsers
+      jwtToken, requestingUserId, collectionId, documentId, data, additionalUsers, ownerPermissions
     );
   }
 
-  async upsertDocumentWithAdminPrivileges(jwtToken, requestingUserId, collectionId, documentId, data, additionalUsers = []) {
+  async upsertDocumentWithAdminPrivileges(jwtToken, requestingUserId, collectionId, documentId, data, additionalUsers = [], ownerPermissions) {
     return this.adminOps.upsertDocumentWithAdminPrivileges(
-      jwtToken, requestingUserId, collectionId, documentId, data, additionalUsers
+      jwtToken, requestingUserId, collectionId, documentId, data, additionalUsers, ownerPermissions
     );
   }
 
@@ -394,8 +394,24 @@ class AppwriteService {
     return this.adminOps.bulkUpsertDocumentsWithAdminPrivileges(jwtToken, collectionId, documents);
   }
 
-  buildPermissions(ownerId, additionalUsers = []) {
-    return this.adminOps.buildPermissions(ownerId, additionalUsers);
+  async getDocumentWithAdminPrivileges(jwtToken, collectionId, documentId) {
+    return this.adminOps.getDocument(jwtToken, collectionId, documentId);
+  }
+
+  async listDocumentsWithAdminPrivileges(jwtToken, collectionId, queries = []) {
+    return this.adminOps.listAllDocuments(jwtToken, collectionId, queries);
+  }
+
+  async bulkDeleteDocumentsWithAdminPrivileges(jwtToken, collectionId, documentIds) {
+    return this.adminOps.bulkDeleteDocuments(jwtToken, collectionId, documentIds);
+  }
+
+  async patchDocumentWithAdminPrivileges(jwtToken, collectionId, documentId, data) {
+    return this.adminOps.updateDocument(jwtToken, collectionId, documentId, data);
+  }
+
+  buildPermissions(ownerId, additionalUsers = [], ownerPermissions) {
+    return this.adminOps.buildPermissions(ownerId, additionalUsers, ownerPermissions);
   }
 
   requireSystemUser(userInfo) {
@@ -504,6 +520,18 @@ class AppwriteService {
     return this.notificationTemplates.sendLikeNotification(likerId, likedId, likerName);
   }
 
+  async sendMatchExpiringNotification(userId, partnerId, partnerName, matchData) {
+    return this.notificationTemplates.sendMatchExpiringNotification(userId, partnerId, partnerName, matchData);
+  }
+
+  async sendMessageReactionNotification(reactorId, receiverId, reactorName, reaction, reactionData) {
+    return this.notificationTemplates.sendMessageReactionNotification(reactorId, receiverId, reactorName, reaction, reactionData);
+  }
+
+  async sendSuperLikeNotification(likerId, likedId, likerName) {
+    return this.notificationTemplates.sendSuperLikeNotification(likerId, likedId, likerName);
+  }
+
   async sendMessageNotification(senderId, receiverId, senderName, messagePreview) {
     return this.notificationTemplates.sendMessageNotification(senderId, receiverId, senderName, messagePreview);
   }
@@ -596,6 +624,10 @@ class AppwriteService {
     return this.imageAnalysisService.analyzeBatch(images, options);
   }
 
+  async detectFaces(image) {
+    return this.imageAnalysisService.detectFaces(image);
+  }
+
   async moderateContent(jwtToken, contentId, contentType, image) {
     return this.imageAnalysisService.moderateContent(jwtToken, contentId, contentType, image);
   }
@@ -729,10 +761,13 @@ class AppwriteService {
    * @param {number} messageType - Message type (1=text, 2=photo, 3=video, 4=audio)
    * @param {string} dialogId - Dialog ID
    * @param {string} imageBase64 - Base64 encoded media data (required for messageType 2,3,4)
+   * @param {string} metadata - JSON string metadata
+   * @param {string} replyToMessageId - Quoted message ID (must be in the same dialog)
+   * @param {number[]} waveform - Client-computed waveform for voice messages the server cannot decode
    * @returns {Promise<Object>} - Message result with notification status
    */
-  async sendMessage(jwtToken, senderId, receiverId, message, messageType, dialogId, imageBase64 = null, metadata = null) {
-    return this.messagingService.sendMessage(jwtToken, senderId, receiverId, message, messageType, dialogId, imageBase64, metadata);
+  async sendMessage(jwtToken, senderId, receiverId, message, messageType, dialogId, imageBase64 = null, metadata = null, replyToMessageId = null, waveform = null) {
+    return this.messagingService.sendMessage(jwtToken, senderId, receiverId, message, messageType, dialogId, imageBase64, metadata, replyToMessageId, waveform);
   }
 
   /**
@@ -749,6 +784,54 @@ class AppwriteService {
     return this.messagingService.sendDirectMessage(jwtToken, senderId, receiverId, message, messageType, imageBase64);
   }
 
+  /**
+   * Add or replace the user's emoji reaction on a message
+   * @param {string} jwtToken - User JWT token
+   * @param {string} userId - Reacting user ID
+   * @param {string} messageId - Message ID
+   * @param {string} reaction - Single emoji
+   * @param {Object} options - { notify: false to skip the push notification }
+   * @returns {Promise<Object>} - { messageId, dialogId, myReaction, reactionCounts, notification }
+   */
+  async addMessageReaction(jwtToken, userId, messageId, reaction, options = {}) {
+    return this.messagingService.addMessageReaction(jwtToken, userId, messageId, reaction, options);
+  }
+
+  /**
+   * Remove the user's reaction from a message
+   * @param {string} jwtToken - User JWT token
+   * @param {string} userId - Reacting user ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} - { messageId, dialogId, myReaction, removed, reactionCounts }
+   */
+  async removeMessageReaction(jwtToken, userId, messageId) {
+    return this.messagingService.removeMessageReaction(jwtToken, userId, messageId);
+  }
+
+  /**
+   * Edit a text message (sender only, within the edit window)
+   * @param {string} jwtToken - User JWT token
+   * @param {string} userId - Requesting user ID
+   * @param {string} messageId - Message ID
+   * @param {string} message - New message text
+   * @returns {Promise<Object>} - { message, edited, dialog }
+   */
+  async editMessage(jwtToken, userId, messageId, message) {
+    return this.messagingService.editMessage(jwtToken, userId, messageId, message);
+  }
+
+  /**
+   * Delete a message for the requesting user or for everyone
+   * @param {string} jwtToken - User JWT token
+   * @param {string} userId - Requesting user ID
+   * @param {string} messageId - Message ID
+   * @param {string} scope - 'me' or 'everyone'
+   * @returns {Promise<Object>} - Deletion result
+   */
+  async deleteMessage(jwtToken, userId, messageId, scope = 'me') {
+    return this.messagingService.deleteMessage(jwtToken, userId, messageId, scope);
+  }
+
   /**
    * Get messaging statistics
    * @returns {Object} - Messaging statistics
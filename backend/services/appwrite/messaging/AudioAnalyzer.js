@@ -0,0 +1,174 @@
+// AudioAnalyzer.js
+import { parseBuffer } from 'music-metadata';
+
+export const AUDIO_CONFIG = {
+  // Env limitleri erişimde okunur; modül dotenv yüklenmeden import ediliyor
+  get MAX_SIZE_MB() {
+    return parseInt(process.env.MESSAGE_AUDIO_MAX_SIZE_MB || '10');
+  },
+  get MAX_DURATION_SECONDS() {
+    return parseInt(process.env.MESSAGE_AUDIO_MAX_DURATION_SECONDS || '120');
+  },
+  WAVEFORM_BARS: 64,
+  S3_PREFIX: 'audio',
+  // file-type'ın döndürdüğü uzantılar; mp4/webm ses kaydı da taşıyabilen konteynerler
+  ALLOWED_EXTENSIONS: ['m4a', 'mp4', 'aac', 'mp3', 'ogg', 'opus', 'oga', 'wav', 'webm'],
+  // Çok uzun istemci dalga formlarını reddetmek için
+  MAX_CLIENT_WAVEFORM_LENGTH: 1024
+};
+
+// Her bar için okunacak azami örnek; uzun kayıtlarda tüm örnekleri gezmeye gerek yok
+const MAX_SAMPLES_PER_BAR = 2000;
+
+/**
+ * Konteyner başlığından süreyi (saniye) okur. Süre bulunamazsa null döner.
+ */
+export async function getAudioDuration(buffer, mimeType) {
+  try {
+    const metadata = await parseBuffer(buffer, { mimeType, size: buffer.length }, { duration: true, skipCovers: true });
+    const duration = metadata.format.duration;
+    return Number.isFinite(duration) && duration > 0 ? duration : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * PCM WAV verisinden tepe genliklerine göre dalga formu üretir (0-100 arası tamsayılar).
+ * Sıkıştırılmış formatlar sunucuda çözülemediği için null döner.
+ */
+export function computePcmWaveform(buffer, bars = AUDIO_CONFIG.WAVEFORM_BARS) {
+  const wav = parseWavHeader(buffer);
+  if (!wav) return null;
+
+  const { channels, bitsPerSample, isFloat, dataOffset, dataSize } = wav;
+  const bytesPerSample = bitsPerSample / 8;
+  const blockAlign = bytesPerSample * channels;
+  const frameCount = Math.floor(dataSize / blockAlign);
+  if (frameCount === 0) return null;
+
+  const readSample = createSampleReader(buffer, bitsPerSample, isFloat);
+  if (!readSample) return null;
+
+  const framesPerBar = Math.max(1, Math.ceil(frameCount / bars));
+  const stride = Math.max(1, Math.floor(framesPerBar / MAX_SAMPLES_PER_BAR));
+  const peaks = [];
+
+  for (let bar = 0; bar < bars; bar++) {
+    const start = bar * framesPerBar;
+    if (start >= frameCount) break;
+    const end = Math.min(start + framesPerBar, frameCount);
+
+    let peak = 0;
+    for (let frame = start; frame < end; frame += stride) {
+      const frameOffset = dataOffset + frame * blockAlign;
+      for (let channel = 0; channel < channels; channel++) {
+        const value = Math.abs(readSample(frameOffset + channel * bytesPerSample));
+        if (value > peak) peak = value;
+      }
+    }
+    peaks.push(peak);
+  }
+
+  return scaleToPercent(peaks);
+}
+
+/**
+ * İstemcinin gönderdiği dalga formunu doğrular ve standart bar sayısına indirger.
+ * Geçersizse null döner.
+ */
+export function normalizeWaveform(values, bars = AUDIO_CONFIG.WAVEFORM_BARS) {
+  if (!Array.isArray(values) || values.length === 0 || values.length > AUDIO_CONFIG.MAX_CLIENT_WAVEFORM_LENGTH) {
+    return null;
+  }
+  if (!values.every(value => typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+    return null;
+  }
+
+  const resampled = [];
+  for (let bar = 0; bar < bars; bar++) {
+    const start = Math.floor(bar * values.length / bars);
+    const end = Math.max(start + 1, Math.floor((bar + 1) * values.length / bars));
+    resampled.push(Math.max(...values.slice(start, end)));
+  }
+
+  return scaleToPercent(resampled);
+}
+
+function scaleToPercent(values) {
+  const max = Math.max(...values);
+  if (max === 0) {
+    return values.map(() => 0);
+  }
+  return values.map(value => Math.round((value / max) * 100));
+}
+
+function parseWavHeader(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const bodyOffset = offset + 8;
+
+    if (chunkId === 'fmt ' && bodyOffset + 16 <= buffer.length) {
+      let audioFormat = buffer.readUInt16LE(bodyOffset);
+      // WAVE_FORMAT_EXTENSIBLE: asıl format alt format GUID'inin ilk iki baytında
+      if (audioFormat === 0xFFFE && bodyOffset + 26 <= buffer.length) {
+        audioFormat = buffer.readUInt16LE(bodyOffset + 24);
+      }
+      format = {
+        audioFormat,
+        channels: buffer.readUInt16LE(bodyOffset + 2),
+        bitsPerSample: buffer.readUInt16LE(bodyOffset + 14)
+      };
+    } else if (chunkId === 'data' && format) {
+      if (![1, 3].includes(format.audioFormat) || format.channels === 0) {
+        return null;
+      }
+      return {
+        channels: format.channels,
+        bitsPerSample: format.bitsPerSample,
+        isFloat: format.audioFormat === 3,
+        dataOffset: bodyOffset,
+        // Kayıt sırasında boyutu yazılmamış dosyalarda chunk boyutu tampondan büyük olabilir
+        dataSize: Math.min(chunkSize, buffer.length - bodyOffset)
+      };
+    }
+
+    // Chunk'lar çift bayta hizalanır
+    offset = bodyOffset + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+}
+
+function createSampleReader(buffer, bitsPerSample, isFloat) {
+  if (isFloat) {
+    return bitsPerSample === 32 ? (offset) => buffer.readFloatLE(offset) : null;
+  }
+  switch (bitsPerSample) {
+    case 8:
+      return (offset) => (buffer.readUInt8(offset) - 128) / 128;
+    case 16:
+      return (offset) => buffer.readInt16LE(offset) / 32768;
+    case 24:
+      return (offset) => buffer.readIntLE(offset, 3) / 8388608;
+    case 32:
+      return (offset) => buffer.readInt32LE(offset) / 2147483648;
+    default:
+      return null;
+  }
+}
+
+export default {
+  AUDIO_CONFIG,
+  getAudioDuration,
+  computePcmWaveform,
+  normalizeWaveform
+};
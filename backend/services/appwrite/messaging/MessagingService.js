@@ -3,8 +3,21 @@ import { ID, Query } from 'node-appwrite';
 import crypto from 'crypto';
 import { randomBytes } from 'crypto';
 
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import { S3Client, PutObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
 import { fileTypeFromBuffer } from 'file-type';
+import { AUDIO_CONFIG, getAudioDuration, computePcmWaveform, normalizeWaveform } from './AudioAnalyzer.js';
+import { sanitizeImage, decodeImagePayload } from '../../../utils/imageSanitizer.js';
+import { RENDITION_FORMAT, getRenditionKey, generateRenditions, generateBlurHash } from '../../../utils/imageRenditions.js';
+
+// Tek bir emoji (ZWJ dizileri, ten rengi ve varyasyon seçicileri dahil)
+const REACTION_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+const REACTION_MAX_LENGTH = 16;
+const REACTIONS_PER_MESSAGE_LIMIT = 100;
+const REPLY_QUOTE_MAX_LENGTH = 100;
+const MESSAGE_DELETE_SCOPES = ['me', 'everyone'];
+// "Benden sil" sonrası silen kişinin görebildiği son mesaj en fazla bu kadar mesaj içinde aranır
+const DELETE_FOR_ME_PREVIEW_SCAN = 25;
+const GRAPHEME_SEGMENTER = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
 
 /**
  * Messaging Service
@@ -28,6 +41,9 @@ export class MessagingService {
     this.dialogsCollection = process.env.DB_COLLECTION_DIALOGS_ID;
     this.profilesCollection = process.env.DB_COLLECTION_PROFILES_ID;
     this.blocksCollection = process.env.DB_COLLECTION_BLOCKS_ID;
+    this.reactionsCollection = process.env.DB_COLLECTION_MESSAGE_REACTIONS_ID;
+    this.messageEditsCollection = process.env.DB_COLLECTION_MESSAGE_EDITS_ID;
+    this.reactionPushEnabled = process.env.MESSAGE_REACTION_PUSH_ENABLED !== 'false';
 
     // Statistics
     this.stats = {
@@ -41,7 +57,7 @@ export class MessagingService {
   }
 
 
-  async uploadToS3(imageBuffer, key) {
+  async uploadToS3(imageBuffer, key, contentType = 'image/jpeg') {
     try {
       const spaces = new S3Client({
         endpoint: process.env.SPACES_ENDPOINT,
@@ -58,7 +74,7 @@ export class MessagingService {
         Key: key,
         Body: imageBuffer,
         ACL: 'public-read',
-        ContentType: 'image/jpeg'
+        ContentType: contentType
       });
 
       await spaces.send(uploadCommand);
@@ -84,34 +100,178 @@ export class MessagingService {
   }
 
 
+  // Dönen buffer metadata'sı temizlenmiş ve yönü düzeltilmiş görseldir
   async validateImageFormat(imageBase64, config) {
+    return sanitizeImage(imageBase64, config);
+  }
+
+  async deleteFromS3(key) {
     try {
-      const imageBuffer = Buffer.from(imageBase64, 'base64');
-      const fileInfo = await fileTypeFromBuffer(imageBuffer);
-
-      if (!fileInfo || !config.allowedFormats.includes(fileInfo.mime)) {
-        return {
-          valid: false,
-          buffer: imageBuffer,
-          error: {
-            code: 'IMAGE_FORMAT_INVALID',
-            message: `Only ${config.allowedFormats.join(', ')} images are allowed`
-          }
-        };
-      }
+      const spaces = new S3Client({
+        endpoint: process.env.SPACES_ENDPOINT,
+        region: process.env.SPACES_AWS_REGION,
+        credentials: {
+          accessKeyId: process.env.SPACES_ACCESS_KEY_ID,
+          secretAccessKey: process.env.SPACES_SECRET_ACCESS_KEY,
+        },
+        forcePathStyle: false,
+      });
 
-      return { valid: true, buffer: imageBuffer };
+      await spaces.send(new DeleteObjectCommand({
+        Bucket: process.env.SPACES_BUCKET,
+        Key: key
+      }));
+      return { success: true };
     } catch (error) {
       return {
-        valid: false,
+        success: false,
         error: {
-          code: 'IMAGE_PROCESSING_ERROR',
-          message: 'Failed to process image data'
+          code: 'S3_DELETE_ERROR',
+          message: error.message
         }
       };
     }
   }
 
+  /**
+   * generatePhotoUrl'in tersi: attachment URL'inden S3 key'lerini çıkarır
+   */
+  getAttachmentKeys(attachment) {
+    if (!attachment?.url) return [];
+    const marker = `/${process.env.SPACES_BUCKET}/`;
+    // Fotoğraflarda her boyut ayrı obje; aynı URL iki kez silinmesin
+    const urls = [...new Set([attachment.url, attachment.thumbnailUrl, attachment.cardUrl].filter(Boolean))];
+    return urls
+      .map(url => {
+        const index = url.indexOf(marker);
+        return index === -1 ? null : url.substring(index + marker.length);
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Re-encode a chat photo into thumbnail/card/full renditions and upload them.
+   * Sohbet balonunda thumbnail, tam ekranda full kullanılır; yüklenene kadar blurHash boyanır.
+   */
+  async processPhotoAttachment(imageBase64) {
+    const config = this.getPhotoValidationConfig();
+    const formatValidation = await this.validateImageFormat(imageBase64, config);
+    if (!formatValidation.valid) {
+      throw new Error(`Invalid image: ${formatValidation.error.message}`);
+    }
+
+    let renditions;
+    let blurHash;
+    try {
+      [renditions, blurHash] = await Promise.all([
+        generateRenditions(formatValidation.buffer),
+        generateBlurHash(formatValidation.buffer)
+      ]);
+    } catch (error) {
+      throw new Error(`Invalid image: ${error.message}`);
+    }
+
+    const key = randomBytes(18).toString('hex').toLowerCase();
+    const urls = {};
+    const renditionKeys = [];
+    const uploadResults = await Promise.all(
+      Object.entries(renditions).map(([name, rendition]) => {
+        const renditionKey = getRenditionKey(key, name);
+        renditionKeys.push(renditionKey);
+        urls[name] = this.generatePhotoUrl(renditionKey);
+        return this.uploadToS3(rendition.buffer, renditionKey, RENDITION_FORMAT.contentType);
+      })
+    );
+
+    const failedUpload = uploadResults.find(uploadResult => !uploadResult.success);
+    if (failedUpload) {
+      // Yüklenebilen boyutlar S3'te sahipsiz kalmasın; silinemeyenler sadece loglanır
+      await Promise.all(
+        renditionKeys
+          .filter((_, index) => uploadResults[index].success)
+          .map(async renditionKey => {
+            const deleteResult = await this.deleteFromS3(renditionKey);
+            if (!deleteResult.success) {
+              this.log(`Failed to clean up rendition ${renditionKey}: ${deleteResult.error.message}`);
+            }
+          })
+      );
+      throw new Error(`Failed to upload media: ${failedUpload.error.message}`);
+    }
+
+    this.log(`Photo renditions uploaded with base key: ${key}`);
+
+    return {
+      url: urls.full,
+      thumbnailUrl: urls.thumbnail,
+      cardUrl: urls.card,
+      type: 'photo',
+      mimeType: RENDITION_FORMAT.contentType,
+      width: renditions.full.width,
+      height: renditions.full.height,
+      blurHash
+    };
+  }
+
+  buildDialogPreview(messageContent, attachment) {
+    if (messageContent || !attachment) {
+      return messageContent || '';
+    }
+    return attachment.type === 'audio' ? 'Sent a voice message' : `Sent a ${attachment.type}`;
+  }
+
+  /**
+   * Validate, analyze and upload a voice message.
+   * Format magic byte'lardan belirlenir; süre konteynerden okunur. Dalga formu PCM (WAV)
+   * kayıtlarda sunucuda hesaplanır, sıkıştırılmış formatlarda istemcinin gönderdiği
+   * değerler doğrulanıp standart bar sayısına indirgenir.
+   */
+  async processAudioAttachment(audioBase64, clientWaveform = null) {
+    const audioBuffer = Buffer.from(audioBase64, 'base64');
+
+    if (audioBuffer.length > AUDIO_CONFIG.MAX_SIZE_MB * 1024 * 1024) {
+      throw new Error(`Invalid audio: file exceeds ${AUDIO_CONFIG.MAX_SIZE_MB}MB`);
+    }
+
+    const fileInfo = await fileTypeFromBuffer(audioBuffer);
+    if (!fileInfo || !AUDIO_CONFIG.ALLOWED_EXTENSIONS.includes(fileInfo.ext)) {
+      throw new Error(`Invalid audio format: allowed formats are ${AUDIO_CONFIG.ALLOWED_EXTENSIONS.join(', ')}`);
+    }
+
+    const durationSeconds = await getAudioDuration(audioBuffer, fileInfo.mime);
+    if (!durationSeconds) {
+      throw new Error('Invalid audio: could not determine duration');
+    }
+    if (durationSeconds > AUDIO_CONFIG.MAX_DURATION_SECONDS) {
+      throw new Error(`Invalid audio: duration exceeds ${AUDIO_CONFIG.MAX_DURATION_SECONDS} seconds`);
+    }
+
+    let waveform = computePcmWaveform(audioBuffer);
+    let waveformSource = waveform ? 'server' : null;
+    if (!waveform && clientWaveform) {
+      waveform = normalizeWaveform(clientWaveform);
+      waveformSource = waveform ? 'client' : null;
+    }
+
+    const key = `${AUDIO_CONFIG.S3_PREFIX}/${randomBytes(18).toString('hex').toLowerCase()}.${fileInfo.ext}`;
+    const uploadResult = await this.uploadToS3(audioBuffer, key, fileInfo.mime);
+    if (!uploadResult.success) {
+      throw new Error(`Failed to upload media: ${uploadResult.error.message}`);
+    }
+
+    this.log(`Voice message uploaded: ${key} (${durationSeconds.toFixed(1)}s, ${fileInfo.mime})`);
+
+    return {
+      url: this.generatePhotoUrl(key),
+      type: 'audio',
+      mimeType: fileInfo.mime,
+      sizeBytes: audioBuffer.length,
+      durationMs: Math.round(durationSeconds * 1000),
+      waveform,
+      waveformSource
+    };
+  }
+
   generatePhotoUrl(photoKey) {
     const baseUrl = process.env.SPACES_CDN_ENDPOINT || process.env.SPACES_ENDPOINT;
     const bucket = process.env.SPACES_BUCKET;
@@ -121,7 +281,7 @@ export class MessagingService {
  * Create a message document in the database
  * @private
  */
-  async createMessage(jwtToken, senderId, receiverId, messageContent, messageType, dialogId, attachment = null, metadata = null) {
+  async createMessage(jwtToken, senderId, receiverId, messageContent, messageType, dialogId, attachment = null, metadata = null, replyTo = null) {
     try {
       const messageData = {
         senderId,
@@ -132,7 +292,8 @@ export class MessagingService {
         translatedBody: '',
         translatedLanguage: '',
         ...(attachment && { attachment: JSON.stringify(attachment) }),
-        ...(metadata && { metadata: metadata })  // metadata zaten JSON string olarak geliyor
+        ...(metadata && { metadata: metadata }),  // metadata zaten JSON string olarak geliyor
+        ...(replyTo && { replyToMessageId: replyTo.messageId, replyTo: JSON.stringify(replyTo) })
       };
 
       const newMessage = await this.adminOps.createDocumentWithAdminPrivileges(
@@ -160,7 +321,7 @@ export class MessagingService {
   /**
    * Send a regular message between matched/liked users
    */
-  async sendMessage(jwtToken, senderId, receiverId, message, messageType, dialogId, imageBase64 = null, metadata = null) {
+  async sendMessage(jwtToken, senderId, receiverId, message, messageType, dialogId, imageBase64 = null, metadata = null, replyToMessageId = null, waveform = null) {
     const context = {
       methodName: 'sendMessage',
       senderId,
@@ -198,19 +359,38 @@ export class MessagingService {
         throw new Error('No dialog');
       }
 
+      // Alıntı da upload'dan önce doğrulanır
+      const replyTo = replyToMessageId
+        ? await this.buildReplySnapshot(jwtToken, replyToMessageId, dialogId)
+        : null;
+
       let attachment = null;
       let messageContent = message;
 
       // Handle media types (2=photo, 3=video, 4=audio) AFTER validation
-      if (messageType !== 1) {
+      if (messageType === 4) {
         if (!imageBase64) {
           throw new Error(`Media data (imageBase64) is required for messageType ${messageType}`);
         }
 
-        const config = this.getPhotoValidationConfig();
+        attachment = await this.processAudioAttachment(imageBase64, waveform);
+        messageContent = message || '';
+      } else if (messageType === 2) {
+        if (!imageBase64) {
+          throw new Error(`Media data (imageBase64) is required for messageType ${messageType}`);
+        }
+
+        attachment = await this.processPhotoAttachment(imageBase64);
+        messageContent = message || '';
+      } else if (messageType !== 1) {
+        if (!imageBase64) {
+          throw new Error(`Media data (imageBase64) is required for messageType ${messageType}`);
+        }
+
+        // Fotoğraf dışı medya sanitizer'dan geçmez, sadece çözülür
         const key = randomBytes(18).toString('hex').toLowerCase();
-        const formatValidation = await this.validateImageFormat(imageBase64, config);
-        const uploadResult = await this.uploadToS3(formatValidation.buffer, key);
+        const { buffer: mediaBuffer } = decodeImagePayload(imageBase64);
+        const uploadResult = await this.uploadToS3(mediaBuffer, key);
         if (!uploadResult.success) {
           throw new Error(`Failed to upload media: ${uploadResult.error}`);
         }
@@ -233,7 +413,7 @@ export class MessagingService {
       }
 
       // Execute parallel operations: get sender info, create message, and update dialog
-      const dialogPreview = messageContent || (attachment ? `Sent a${messageType === 4 ? 'n' : ''} ${attachment.type}` : '');
+      const dialogPreview = this.buildDialogPreview(messageContent, attachment);
 
       const [senderInfo, newMessage, updatedDialog] = await Promise.all([
         this.getUserInfo(jwtToken, senderId),
@@ -245,7 +425,8 @@ export class MessagingService {
           messageType,
           dialogId,
           attachment,
-          metadata
+          metadata,
+          replyTo
         ),
         this.updateDialog(jwtToken, dialogId, dialogPreview, senderId, receiverId)
       ]);
@@ -272,7 +453,8 @@ export class MessagingService {
           has_attachment: !!attachment,
           attachment_type: attachment?.type,
           media_source: mediaSource,  // Track media source for analytics
-          has_metadata: !!metadata
+          has_metadata: !!metadata,
+          is_reply: !!replyTo
         }, senderId);
       }
 
@@ -292,7 +474,10 @@ export class MessagingService {
             messageId: newMessage.$id,
             unreadCount: await this.getUnreadCount(jwtToken, receiverId),
             messageType,
-            hasAttachment: !!attachment
+            hasAttachment: !!attachment,
+            durationMs: attachment?.durationMs,
+            isReply: !!replyTo,
+            replyToMessageId: replyTo?.messageId
           }
         );
 
@@ -390,16 +575,30 @@ export class MessagingService {
       let messageContent = message;
 
       // Handle media types (2=photo, 3=video, 4=audio) AFTER all validations
-      if (messageType !== 1) {
+      if (messageType === 4) {
+        if (!imageBase64) {
+          throw new Error(`Media data (imageBase64) is required for messageType ${messageType}`);
+        }
+
+        attachment = await this.processAudioAttachment(imageBase64);
+        messageContent = message || '';
+      } else if (messageType === 2) {
+        if (!imageBase64) {
+          throw new Error(`Media data (imageBase64) is required for messageType ${messageType}`);
+        }
+
+        attachment = await this.processPhotoAttachment(imageBase64);
+        messageContent = message || '';
+      } else if (messageType !== 1) {
         if (!imageBase64) {
           throw new Error(`Media data (imageBase64) is required for messageType ${messageType}`);
         }
 
         // Upload media to storage
-        const config = this.getPhotoValidationConfig();
+        // Fotoğraf dışı medya sanitizer'dan geçmez, sadece çözülür
         const key = randomBytes(18).toString('hex').toLowerCase();
-        const formatValidation = await this.validateImageFormat(imageBase64, config);
-        const uploadResult = await this.uploadToS3(formatValidation.buffer, key);
+        const { buffer: mediaBuffer } = decodeImagePayload(imageBase64);
+        const uploadResult = await this.uploadToS3(mediaBuffer, key);
         if (!uploadResult.success) {
           throw new Error(`Failed to upload media: ${uploadResult.error}`);
         }
@@ -422,7 +621,7 @@ export class MessagingService {
       const conversationId = await this.getOrCreateDirectConversation(jwtToken, senderId, receiverId);
 
       // Execute parallel operations: create message, get sender info, and update dialog
-      const dialogPreview = messageContent || (attachment ? `Sent a${messageType === 4 ? 'n' : ''} ${attachment.type}` : '');
+      const dialogPreview = this.buildDialogPreview(messageContent, attachment);
 
       const [messageDoc, senderInfo, updatedDialog] = await Promise.all([
         this.createMessage(
@@ -518,7 +717,9 @@ export class MessagingService {
         dialogId,
         {
           lastMessage: message,
-          lastMessageSenderId: senderId
+          lastMessageSenderId: senderId,
+          lastMessageOverrides: [], // yeni mesaj herkesin önizlemesi olur
+          updatedAt: new Date().toISOString() // dialog listesi bu alana göre sıralanır
         },
         [
           { userId: receiverId, permissions: ['read', 'update', 'delete', 'write'] },
@@ -689,6 +890,555 @@ export class MessagingService {
   }
 
 
+  /**
+   * Add or replace the requesting user's reaction on a message.
+   * Each user has at most one reaction per message; aggregated counts are
+   * written back to the message document as `reactionCounts`.
+   */
+  async addMessageReaction(jwtToken, userId, messageId, reaction, options = {}) {
+    if (!messageId) {
+      throw new Error('messageId is required');
+    }
+    if (!this.isValidReaction(reaction)) {
+      throw new Error('Invalid reaction: must be a single emoji');
+    }
+
+    const message = await this.getMessageForUser(jwtToken, userId, messageId);
+    const otherUserId = message.senderId === userId ? message.receiverId : message.senderId;
+
+    const blockage = await this.checkBlockage(jwtToken, userId, otherUserId);
+    if (blockage) {
+      throw new Error('Cannot react to message: blocked user');
+    }
+
+    const reactionId = generateDocumentId('reaction', userId, messageId);
+    const existing = await this.documentOps.getDocument(jwtToken, this.reactionsCollection, reactionId)
+      .catch(error => {
+        if (error.code === 404) return null;
+        throw error;
+      });
+
+    await this.adminOps.upsertDocumentWithAdminPrivileges(
+      jwtToken,
+      userId,
+      this.reactionsCollection,
+      reactionId,
+      {
+        messageId,
+        dialogId: message.dialogId,
+        userId,
+        reaction,
+        reactedAt: new Date().toISOString()
+      },
+      [{ userId: otherUserId, permissions: ['read'] }]
+    );
+
+    const reactionCounts = await this.refreshReactionCounts(jwtToken, messageId);
+
+    if (this.postHog) {
+      await this.postHog.trackBusinessEvent('message_reaction_added', {
+        message_id: messageId,
+        dialog_id: message.dialogId,
+        reaction,
+        replaced: !!existing
+      }, userId);
+    }
+
+    // Aynı tepki tekrar gönderildiyse ya da kendi mesajına tepki verdiyse bildirim yok
+    let notification = { success: false, skipped: true };
+    const reactionChanged = existing?.reaction !== reaction;
+    if (this.reactionPushEnabled && options.notify !== false && reactionChanged && message.senderId !== userId) {
+      try {
+        const reactorInfo = await this.getUserInfo(jwtToken, userId);
+        notification = await this.notificationTemplates.sendMessageReactionNotification(
+          userId,
+          message.senderId,
+          reactorInfo.name,
+          reaction,
+          { dialogId: message.dialogId, messageId }
+        );
+      } catch (notifError) {
+        this.log('Failed to send reaction notification:', notifError.message);
+        notification = { success: false, error: notifError.message };
+      }
+    }
+
+    return {
+      messageId,
+      dialogId: message.dialogId,
+      myReaction: reaction,
+      reactionCounts,
+      notification
+    };
+  }
+
+  /**
+   * Remove the requesting user's reaction from a message (idempotent)
+   */
+  async removeMessageReaction(jwtToken, userId, messageId) {
+    if (!messageId) {
+      throw new Error('messageId is required');
+    }
+
+    // Engellenmiş olsa bile kullanıcı kendi tepkisini geri alabilir
+    const message = await this.getMessageForUser(jwtToken, userId, messageId);
+    const reactionId = generateDocumentId('reaction', userId, messageId);
+
+    let removed = true;
+    try {
+      await this.adminOps.deleteDocumentWithAdminPrivileges(jwtToken, this.reactionsCollection, reactionId);
+    } catch (error) {
+      if (error.code !== 404) throw error;
+      removed = false;
+    }
+
+    const reactionCounts = removed
+      ? await this.refreshReactionCounts(jwtToken, messageId)
+      : this.parseReactionCounts(message.reactionCounts);
+
+    if (removed && this.postHog) {
+      await this.postHog.trackBusinessEvent('message_reaction_removed', {
+        message_id: messageId,
+        dialog_id: message.dialogId
+      }, userId);
+    }
+
+    return {
+      messageId,
+      dialogId: message.dialogId,
+      myReaction: null,
+      removed,
+      reactionCounts
+    };
+  }
+
+  /**
+   * Edit a text message. Only the sender may edit, only within MESSAGE_EDIT_WINDOW_MINUTES
+   * of sending; every edit keeps the previous text in the message edits collection.
+   */
+  async editMessage(jwtToken, userId, messageId, newText) {
+    if (!messageId) {
+      throw new Error('messageId is required');
+    }
+    if (!newText || newText.trim().length === 0) {
+      throw new Error('message is required');
+    }
+    if (newText.length > 5000) {
+      throw new Error('Message is too long (max 5000 characters)');
+    }
+
+    const message = await this.getMessageForUser(jwtToken, userId, messageId);
+
+    if (message.senderId !== userId) {
+      throw new Error('forbidden: Only the sender can edit this message');
+    }
+    if (message.messageType !== 1) {
+      throw new Error('forbidden: Only text messages can be edited');
+    }
+
+    const editWindowMinutes = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES || '15');
+    const ageMinutes = (Date.now() - new Date(message.$createdAt).getTime()) / 60000;
+    if (ageMinutes > editWindowMinutes) {
+      throw new Error(`forbidden: Edit window of ${editWindowMinutes} minutes has expired`);
+    }
+
+    if (newText === message.message) {
+      return { message, edited: false };
+    }
+
+    const editedAt = new Date().toISOString();
+    const editCount = (message.editCount || 0) + 1;
+
+    // Moderasyon için önceki metin saklanır; mesajın kendisinde sadece son hali durur
+    await this.adminOps.createDocumentWithAdminPrivileges(
+      jwtToken,
+      userId,
+      this.messageEditsCollection,
+      ID.unique(),
+      {
+        messageId,
+        dialogId: message.dialogId,
+        senderId: userId,
+        previousMessage: message.message,
+        newMessage: newText,
+        editNumber: editCount,
+        editedAt
+      }
+    );
+
+    const updatedMessage = await this.adminOps.updateDocument(jwtToken, this.messagesCollection, messageId, {
+      message: newText,
+      editedAt,
+      editCount,
+      // Eski çeviri artık geçersiz
+      translatedBody: '',
+      translatedLanguage: ''
+    });
+
+    const dialog = await this.refreshDialogLastMessage(jwtToken, message.dialogId);
+
+    if (this.postHog) {
+      await this.postHog.trackBusinessEvent('message_edited', {
+        message_id: messageId,
+        dialog_id: message.dialogId,
+        edit_count: editCount,
+        age_minutes: Math.round(ageMinutes)
+      }, userId);
+    }
+
+    return { message: updatedMessage, edited: true, dialog };
+  }
+
+  /**
+   * Delete a message.
+   * - scope 'me': message is hidden for the requesting user only (deletedForIds)
+   * - scope 'everyone': sender only; message, reactions and S3 attachment are removed
+   *   and replies keep an "original deleted" quote
+   * Her iki taraf da kendinden silmişse mesaj tamamen kaldırılır.
+   */
+  async deleteMessage(jwtToken, userId, messageId, scope = 'me') {
+    if (!messageId) {
+      throw new Error('messageId is required');
+    }
+    if (!MESSAGE_DELETE_SCOPES.includes(scope)) {
+      throw new Error(`Invalid scope: must be one of ${MESSAGE_DELETE_SCOPES.join(', ')}`);
+    }
+
+    const message = await this.getMessageForUser(jwtToken, userId, messageId);
+
+    if (scope === 'everyone' && message.senderId !== userId) {
+      throw new Error('forbidden: Only the sender can delete a message for everyone');
+    }
+
+    const deletedForIds = [...new Set([...(message.deletedForIds || []), userId])];
+    const hiddenForBoth = [message.senderId, message.receiverId].every(id => deletedForIds.includes(id));
+
+    if (scope === 'me' && !hiddenForBoth) {
+      await this.adminOps.updateDocument(jwtToken, this.messagesCollection, messageId, { deletedForIds });
+      const preview = await this.refreshDialogPreviewForUser(jwtToken, message.dialogId, userId, messageId);
+
+      if (this.postHog) {
+        await this.postHog.trackBusinessEvent('message_deleted', {
+          message_id: messageId,
+          dialog_id: message.dialogId,
+          scope
+        }, userId);
+      }
+
+      return {
+        messageId,
+        dialogId: message.dialogId,
+        scope,
+        purged: false,
+        ...(preview && { lastMessage: preview.lastMessage })
+      };
+    }
+
+    const purgeResult = await this.purgeMessage(jwtToken, message);
+    const dialog = await this.refreshDialogLastMessage(jwtToken, message.dialogId);
+
+    if (this.postHog) {
+      await this.postHog.trackBusinessEvent('message_deleted', {
+        message_id: messageId,
+        dialog_id: message.dialogId,
+        scope,
+        purged: true,
+        attachment_deleted: purgeResult.attachmentKeysDeleted > 0
+      }, userId);
+    }
+
+    return {
+      messageId,
+      dialogId: message.dialogId,
+      scope,
+      purged: true,
+      ...purgeResult,
+      lastMessage: dialog?.lastMessage ?? null
+    };
+  }
+
+  /**
+   * Remove a message document together with its reactions and S3 objects
+   * @private
+   */
+  async purgeMessage(jwtToken, message) {
+    let attachment = null;
+    if (message.attachment) {
+      try {
+        attachment = JSON.parse(message.attachment);
+      } catch (error) {
+        this.log(`Unparseable attachment on message ${message.$id}, skipping S3 cleanup`);
+      }
+    }
+
+    let attachmentKeysDeleted = 0;
+    for (const key of this.getAttachmentKeys(attachment)) {
+      const result = await this.deleteFromS3(key);
+      if (result.success) {
+        attachmentKeysDeleted++;
+      } else {
+        // S3 temizliği başarısız olsa da mesaj silinir; obje yetim kalır, loglanır
+        this.log(`Failed to delete attachment ${key}: ${result.error.message}`);
+      }
+    }
+
+    await this.adminOps.deleteDocumentWithAdminPrivileges(jwtToken, this.messagesCollection, message.$id);
+
+    await this.adminOps.deleteDocumentsByQueryWithAdminPrivileges(
+      jwtToken,
+      this.reactionsCollection,
+      [Query.equal('messageId', message.$id)]
+    ).catch(error => this.log(`Failed to delete reactions of ${message.$id}: ${error.message}`));
+
+    const replies = await this.markRepliesOriginalDeleted(jwtToken, message.$id)
+      .catch(error => {
+        this.log(`Failed to mark replies of ${message.$id}: ${error.message}`);
+        return { updated: 0 };
+      });
+
+    return { attachmentKeysDeleted, repliesUpdated: replies.updated };
+  }
+
+  /**
+   * Dialogdaki en son mesaja göre lastMessage alanlarını yeniden yazar.
+   * Silme/düzenleme sonrası dialog listesi doğru önizlemeyi göstersin diye.
+   * @private
+   */
+  async refreshDialogLastMessage(jwtToken, dialogId) {
+    const latest = await this.adminOps.listDocuments(
+      jwtToken,
+      this.messagesCollection,
+      [
+        Query.equal('dialogId', dialogId),
+        Query.orderDesc('$createdAt'),
+        Query.limit(1)
+      ]
+    );
+
+    const lastMessage = latest.documents[0];
+    let attachment = null;
+    if (lastMessage?.attachment) {
+      try {
+        attachment = JSON.parse(lastMessage.attachment);
+      } catch (error) {
+        attachment = null;
+      }
+    }
+
+    try {
+      return await this.adminOps.updateDocument(jwtToken, this.dialogsCollection, dialogId, {
+        lastMessage: lastMessage ? this.buildDialogPreview(lastMessage.message, attachment) : '',
+        lastMessageSenderId: lastMessage ? lastMessage.senderId : '',
+        // Kullanıcı başına önizlemeler silinmiş/düzenlenmiş içeriği göstermesin
+        lastMessageOverrides: [],
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      // Dialog silinmiş olabilir, mesaj işlemini başarısız sayma
+      this.log(`Failed to refresh dialog last message for ${dialogId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * "Benden sil" yapılan mesaj dialogun son mesajıysa, silen kullanıcının önizlemesini
+   * onun görebildiği son mesaja göre yazar. Önizlemeler dialogda kullanıcı başına JSON
+   * olarak tutulur (lastMessageOverrides) ve yeni mesaj gelince temizlenir.
+   * @private
+   */
+  async refreshDialogPreviewForUser(jwtToken, dialogId, userId, deletedMessageId) {
+    try {
+      const recent = await this.adminOps.listDocuments(
+        jwtToken,
+        this.messagesCollection,
+        [
+          Query.equal('dialogId', dialogId),
+          Query.orderDesc('$createdAt'),
+          Query.limit(DELETE_FOR_ME_PREVIEW_SCAN)
+        ]
+      );
+
+      // Silinen mesaj son mesaj değilse önizleme zaten doğru
+      if (recent.documents[0]?.$id !== deletedMessageId) {
+        return null;
+      }
+
+      const visible = recent.documents.find(message =>
+        message.$id !== deletedMessageId && !(message.deletedForIds || []).includes(userId)
+      );
+      let attachment = null;
+      if (visible?.attachment) {
+        try {
+          attachment = JSON.parse(visible.attachment);
+        } catch (error) {
+          attachment = null;
+        }
+      }
+      const preview = {
+        userId,
+        lastMessage: visible ? this.buildDialogPreview(visible.message, attachment) : '',
+        lastMessageSenderId: visible ? visible.senderId : ''
+      };
+
+      const dialog = await this.adminOps.getDocument(jwtToken, this.dialogsCollection, dialogId);
+      const overrides = (dialog.lastMessageOverrides || [])
+        .map(override => {
+          try {
+            return JSON.parse(override);
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(override => override && override.userId !== userId);
+
+      await this.adminOps.updateDocument(jwtToken, this.dialogsCollection, dialogId, {
+        lastMessageOverrides: [...overrides, preview].map(override => JSON.stringify(override))
+      });
+      return preview;
+    } catch (error) {
+      // Önizleme güncellenemese de mesaj gizlenmiş sayılır
+      this.log(`Failed to refresh dialog preview of ${dialogId} for ${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Build the compact quote stored on a reply. The original must live in the same dialog;
+   * the snapshot is self-contained so the reply still renders after the original is gone.
+   * @private
+   */
+  async buildReplySnapshot(jwtToken, replyToMessageId, dialogId) {
+    const original = await this.documentOps.getDocument(jwtToken, this.messagesCollection, replyToMessageId)
+      .catch(error => {
+        if (error.code === 404) throw new Error('replyToMessageId not found');
+        throw error;
+      });
+
+    if (original.dialogId !== dialogId) {
+      throw new Error('replyToMessageId must belong to the same dialog');
+    }
+
+    let attachmentType = null;
+    if (original.attachment) {
+      try {
+        attachmentType = JSON.parse(original.attachment).type || null;
+      } catch (error) {
+        // Bozuk attachment alıntıyı engellemesin
+      }
+    }
+
+    const text = original.message || '';
+
+    return {
+      messageId: original.$id,
+      senderId: original.senderId,
+      messageType: original.messageType,
+      text: text.length > REPLY_QUOTE_MAX_LENGTH ? `${text.substring(0, REPLY_QUOTE_MAX_LENGTH - 3)}...` : text,
+      attachmentType,
+      originalDeleted: false
+    };
+  }
+
+  /**
+   * Orijinal mesaj silindiğinde ona verilen yanıtlardaki alıntıyı "original deleted" olarak işaretler.
+   * Alıntının içeriği de temizlenir; gönderen ve tip bilgisi kalır.
+   */
+  async markRepliesOriginalDeleted(jwtToken, messageId) {
+    const replies = await this.adminOps.listDocuments(
+      jwtToken,
+      this.messagesCollection,
+      [Query.equal('replyToMessageId', messageId), Query.limit(100)]
+    );
+
+    let updated = 0;
+    for (const reply of replies.documents) {
+      let quote = {};
+      try {
+        quote = reply.replyTo ? JSON.parse(reply.replyTo) : {};
+      } catch (error) {
+        quote = {};
+      }
+      if (quote.originalDeleted) continue;
+
+      await this.adminOps.updateDocument(jwtToken, this.messagesCollection, reply.$id, {
+        replyTo: JSON.stringify({
+          messageId,
+          senderId: quote.senderId || null,
+          messageType: quote.messageType || null,
+          text: null,
+          attachmentType: null,
+          originalDeleted: true
+        })
+      });
+      updated++;
+    }
+
+    return { updated };
+  }
+
+  isValidReaction(reaction) {
+    return typeof reaction === 'string'
+      && reaction.length > 0
+      && reaction.length <= REACTION_MAX_LENGTH
+      && REACTION_PATTERN.test(reaction)
+      && /\p{Extended_Pictographic}/u.test(reaction)
+      && [...GRAPHEME_SEGMENTER.segment(reaction)].length === 1;
+  }
+
+  /**
+   * Fetch a message with the user's JWT and make sure the user is one of its two parties
+   * @private
+   */
+  async getMessageForUser(jwtToken, userId, messageId) {
+    const message = await this.documentOps.getDocument(jwtToken, this.messagesCollection, messageId)
+      .catch(error => {
+        if (error.code === 404) throw new Error('Message not found');
+        throw error;
+      });
+
+    if (message.senderId !== userId && message.receiverId !== userId) {
+      throw new Error('unauthorized: User is not a participant of this message');
+    }
+
+    return message;
+  }
+
+  /**
+   * Recount reactions from the reactions collection and store them on the message.
+   * Sayaç artırmak yerine yeniden sayılır; eşzamanlı tepkilerde sayı kaymaz.
+   * @private
+   */
+  async refreshReactionCounts(jwtToken, messageId) {
+    const reactions = await this.adminOps.listDocuments(
+      jwtToken,
+      this.reactionsCollection,
+      [
+        Query.equal('messageId', messageId),
+        Query.limit(REACTIONS_PER_MESSAGE_LIMIT)
+      ]
+    );
+
+    const reactionCounts = {};
+    for (const doc of reactions.documents) {
+      reactionCounts[doc.reaction] = (reactionCounts[doc.reaction] || 0) + 1;
+    }
+
+    await this.adminOps.updateDocument(jwtToken, this.messagesCollection, messageId, {
+      reactionCounts: JSON.stringify(reactionCounts)
+    });
+
+    return reactionCounts;
+  }
+
+  parseReactionCounts(value) {
+    if (!value) return {};
+    try {
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      return {};
+    }
+  }
+
   /**
    * Get user info for notification
    */
@@ -1,7 +1,10 @@
 export const NOTIFICATION_TYPES = {
   MATCH: 'match',
   LIKE: 'like',
+  SUPER_LIKE: 'super_like',
+  MATCH_EXPIRING: 'match_expiring',
   MESSAGE: 'message',
+  MESSAGE_REACTION: 'message_reaction',
   DIRECT_MESSAGE: 'direct_message',
   SYSTEM: 'system',
   PROMOTION: 'promotion',
@@ -42,10 +45,22 @@ export const NOTIFICATION_TEMPLATES = {
     title: "New Like ❤️",
     body: "{userName} liked your profile!"
   },
+  SUPER_LIKE: {
+    title: "Super Like! ⭐",
+    body: "{userName} super liked you!"
+  },
+  MATCH_EXPIRING: {
+    title: "⏳ Match expiring soon",
+    body: "Your match with {partnerName} expires in {hoursLeft} hours. Say hi!"
+  },
   MESSAGE: {
     title: "New message from {senderName}",
     body: "{messagePreview}"
   },
+  MESSAGE_REACTION: {
+    title: "{userName}",
+    body: "Reacted {reaction} to your message"
+  },
   DIRECT_MESSAGE: {
     title: "Direct Message 💬",
     body: "{senderName} sent you a direct message!"
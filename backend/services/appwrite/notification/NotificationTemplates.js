@@ -43,6 +43,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Özel Teklif',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Süper Beğeni!',
+          body: '{userName} sizi süper beğendi!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Eşleşmeniz Sona Eriyor',
+          body: '{partnerName} ile eşleşmeniz {hoursLeft} saat içinde sona erecek. Bir merhaba deyin!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Mesajınıza {reaction} ile tepki verdi'
         }
       },
       de: {
@@ -69,6 +81,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Sonderangebot',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Super Like!',
+          body: '{userName} hat Ihnen ein Super Like gegeben!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Match läuft bald ab',
+          body: 'Ihr Match mit {partnerName} läuft in {hoursLeft} Stunden ab. Sagen Sie Hallo!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Hat mit {reaction} auf Ihre Nachricht reagiert'
         }
       },
       es: {
@@ -95,6 +119,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Oferta Especial',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ ¡Super Like!',
+          body: '¡{userName} te ha dado un Super Like!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Tu match está por expirar',
+          body: 'Tu match con {partnerName} expira en {hoursLeft} horas. ¡Salúdale!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Reaccionó con {reaction} a tu mensaje'
         }
       },
       fr: {
@@ -121,6 +157,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Offre Spéciale',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Super Like !',
+          body: '{userName} vous a envoyé un Super Like !'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Votre match expire bientôt',
+          body: 'Votre match avec {partnerName} expire dans {hoursLeft} heures. Dites bonjour !'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'A réagi {reaction} à votre message'
         }
       },
       ar: {
@@ -147,6 +195,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 عرض خاص',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ إعجاب مميز!',
+          body: '{userName} أرسل لك إعجابًا مميزًا!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ تطابقك على وشك الانتهاء',
+          body: 'ينتهي تطابقك مع {partnerName} خلال {hoursLeft} ساعات. قل مرحباً!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'تفاعل بـ {reaction} مع رسالتك'
         }
       },
       bn: {
@@ -173,6 +233,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 বিশেষ অফার',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ সুপার লাইক!',
+          body: '{userName} আপনাকে সুপার লাইক দিয়েছে!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ আপনার ম্যাচ শেষ হতে চলেছে',
+          body: '{partnerName}-এর সাথে আপনার ম্যাচ {hoursLeft} ঘণ্টার মধ্যে শেষ হবে। হ্যালো বলুন!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'আপনার বার্তায় {reaction} প্রতিক্রিয়া জানিয়েছে'
         }
       },
       zh: {
@@ -199,6 +271,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 特别优惠',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ 超级喜欢！',
+          body: '{userName} 超级喜欢你！'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ 配对即将过期',
+          body: '你与{partnerName}的配对将在{hoursLeft}小时后过期。快去打个招呼吧！'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: '对你的消息回应了 {reaction}'
         }
       },
       he: {
@@ -225,6 +309,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 הצעה מיוחדת',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ סופר לייק!',
+          body: '{userName} שלח/ה לך סופר לייק!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ ההתאמה שלך עומדת לפוג',
+          body: 'ההתאמה שלך עם {partnerName} תפוג בעוד {hoursLeft} שעות. תגידו שלום!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'הגיב/ה {reaction} להודעה שלך'
         }
       },
       hi: {
@@ -251,6 +347,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 विशेष ऑफर',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ सुपर लाइक!',
+          body: '{userName} ने आपको सुपर लाइक किया!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ आपका मैच जल्द समाप्त होगा',
+          body: '{partnerName} के साथ आपका मैच {hoursLeft} घंटों में समाप्त हो जाएगा। हैलो कहें!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'ने आपके संदेश पर {reaction} प्रतिक्रिया दी'
         }
       },
       id: {
@@ -277,6 +385,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Penawaran Khusus',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Super Like!',
+          body: '{userName} memberi Anda Super Like!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Match Anda Segera Berakhir',
+          body: 'Match Anda dengan {partnerName} berakhir dalam {hoursLeft} jam. Sapa sekarang!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Bereaksi {reaction} pada pesan Anda'
         }
       },
       it: {
@@ -303,6 +423,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Offerta Speciale',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Super Like!',
+          body: '{userName} ti ha mandato un Super Like!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Il tuo match sta per scadere',
+          body: 'Il tuo match con {partnerName} scade tra {hoursLeft} ore. Saluta!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Ha reagito con {reaction} al tuo messaggio'
         }
       },
       ja: {
@@ -329,6 +461,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 特別オファー',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ スーパーライク！',
+          body: '{userName}さんからスーパーライクが届きました！'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ マッチの期限が近づいています',
+          body: '{partnerName}さんとのマッチはあと{hoursLeft}時間で期限切れになります。挨拶してみましょう！'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'あなたのメッセージに {reaction} でリアクションしました'
         }
       },
       ko: {
@@ -355,6 +499,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 특별 혜택',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ 슈퍼 좋아요!',
+          body: '{userName}님이 슈퍼 좋아요를 보냈어요!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ 매치가 곧 만료됩니다',
+          body: '{partnerName}님과의 매치가 {hoursLeft}시간 후 만료됩니다. 인사를 건네보세요!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: '회원님의 메시지에 {reaction} 반응을 남겼습니다'
         }
       },
       fa: {
@@ -381,6 +537,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 پیشنهاد ویژه',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ سوپر لایک!',
+          body: '{userName} به شما سوپر لایک داد!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ مچ شما به زودی منقضی می‌شود',
+          body: 'مچ شما با {partnerName} تا {hoursLeft} ساعت دیگر منقضی می‌شود. سلام کنید!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'به پیام شما با {reaction} واکنش نشان داد'
         }
       },
       pl: {
@@ -407,6 +575,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Specjalna Oferta',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Super Like!',
+          body: '{userName} dał(a) Ci Super Like!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Twoje dopasowanie wkrótce wygaśnie',
+          body: 'Twoje dopasowanie z {partnerName} wygaśnie za {hoursLeft} godz. Przywitaj się!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Zareagował(a) {reaction} na Twoją wiadomość'
         }
       },
       pt: {
@@ -433,6 +613,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Oferta Especial',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Super Like!',
+          body: '{userName} te deu um Super Like!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Seu match está expirando',
+          body: 'Seu match com {partnerName} expira em {hoursLeft} horas. Diga oi!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Reagiu com {reaction} à sua mensagem'
         }
       },
       ru: {
@@ -459,6 +651,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Специальное предложение',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Суперлайк!',
+          body: '{userName} отправил(а) вам суперлайк!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Ваша пара скоро исчезнет',
+          body: 'Пара с {partnerName} исчезнет через {hoursLeft} ч. Поздоровайтесь!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Отреагировал(а) {reaction} на ваше сообщение'
         }
       },
       th: {
@@ -485,6 +689,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 ข้อเสนอพิเศษ',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ ซูเปอร์ไลก์!',
+          body: '{userName} ส่งซูเปอร์ไลก์ให้คุณ!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ แมตช์ของคุณใกล้หมดอายุ',
+          body: 'แมตช์ของคุณกับ {partnerName} จะหมดอายุใน {hoursLeft} ชั่วโมง ทักทายเลย!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'แสดงความรู้สึก {reaction} ต่อข้อความของคุณ'
         }
       },
       uk: {
@@ -511,6 +727,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Спеціальна пропозиція',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Суперлайк!',
+          body: '{userName} надіслав(ла) вам суперлайк!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Ваша пара скоро зникне',
+          body: 'Пара з {partnerName} зникне через {hoursLeft} год. Привітайтеся!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Відреагував(ла) {reaction} на ваше повідомлення'
         }
       },
       ur: {
@@ -537,6 +765,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 خصوصی پیشکش',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ سپر لائک!',
+          body: '{userName} نے آپ کو سپر لائک کیا!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ آپ کا میچ جلد ختم ہو رہا ہے',
+          body: '{partnerName} کے ساتھ آپ کا میچ {hoursLeft} گھنٹوں میں ختم ہو جائے گا۔ ہیلو کہیں!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'نے آپ کے پیغام پر {reaction} ردعمل دیا'
         }
       },
       vi: {
@@ -563,6 +803,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Ưu đãi đặc biệt',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Siêu thích!',
+          body: '{userName} đã gửi cho bạn một Siêu thích!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Tương hợp sắp hết hạn',
+          body: 'Tương hợp của bạn với {partnerName} sẽ hết hạn sau {hoursLeft} giờ. Hãy chào nhau!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Đã bày tỏ cảm xúc {reaction} với tin nhắn của bạn'
         }
       },
       ms: {
@@ -589,6 +841,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Tawaran Istimewa',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Super Like!',
+          body: '{userName} memberi anda Super Like!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Padanan Anda Hampir Tamat',
+          body: 'Padanan anda dengan {partnerName} tamat dalam {hoursLeft} jam. Tegur sekarang!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Memberi reaksi {reaction} pada mesej anda'
         }
       },
       sw: {
@@ -615,6 +879,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Ofa Maalum',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Super Like!',
+          body: '{userName} amekupa Super Like!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Mechi Yako Inakaribia Kuisha',
+          body: 'Mechi yako na {partnerName} itaisha baada ya saa {hoursLeft}. Msalimie!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Amejibu ujumbe wako kwa {reaction}'
         }
       },
       nl: {
@@ -641,6 +917,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Speciale Aanbieding',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Super Like!',
+          body: '{userName} heeft je een Super Like gegeven!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Je match verloopt binnenkort',
+          body: 'Je match met {partnerName} verloopt over {hoursLeft} uur. Zeg hallo!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Reageerde met {reaction} op je bericht'
         }
       },
       sv: {
@@ -667,6 +955,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Specialerbjudande',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Super Like!',
+          body: '{userName} har gett dig en Super Like!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Din match går snart ut',
+          body: 'Din match med {partnerName} går ut om {hoursLeft} timmar. Säg hej!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Reagerade med {reaction} på ditt meddelande'
         }
       },
       no: {
@@ -693,6 +993,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Spesialtilbud',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Super Like!',
+          body: '{userName} har gitt deg en Super Like!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Matchen din utløper snart',
+          body: 'Matchen din med {partnerName} utløper om {hoursLeft} timer. Si hei!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Reagerte med {reaction} på meldingen din'
         }
       },
       da: {
@@ -719,6 +1031,18 @@ export class NotificationTemplates {
         PROMOTION: {
           title: '🎁 Særligt Tilbud',
           body: '{message}'
+        },
+        SUPER_LIKE: {
+          title: '⭐ Super Like!',
+          body: '{userName} har givet dig et Super Like!'
+        },
+        MATCH_EXPIRING: {
+          title: '⏳ Dit match udløber snart',
+          body: 'Dit match med {partnerName} udløber om {hoursLeft} timer. Sig hej!'
+        },
+        MESSAGE_REACTION: {
+          title: '{userName}',
+          body: 'Reagerede med {reaction} på din besked'
         }
       }
     };
@@ -832,6 +1156,94 @@ export class NotificationTemplates {
     return result;
   }
 
+  async sendMatchExpiringNotification(userId, partnerId, partnerName, matchData = {}) {
+    const localizedNotification = await this.getLocalizedNotification(
+      userId,
+      'MATCH_EXPIRING',
+      { partnerName, hoursLeft: matchData.hoursLeft }
+    );
+
+    const data = {
+      type: NOTIFICATION_TYPES.MATCH_EXPIRING,
+      matchId: matchData.matchId,
+      partnerId,
+      partnerName,
+      expireDate: matchData.expireDate,
+      timestamp: new Date().toISOString()
+    };
+
+    const result = await this.notificationService.sendToUsers(
+      localizedNotification.title,
+      localizedNotification.body,
+      [userId],
+      data
+    );
+
+    this.log(`Match expiring notification sent to user ${userId} in ${localizedNotification.language}`);
+
+    return result;
+  }
+
+  async sendSuperLikeNotification(likerId, likedId, likerName, additionalData = {}) {
+    const localizedNotification = await this.getLocalizedNotification(
+      likedId,
+      'SUPER_LIKE',
+      { userName: likerName }
+    );
+
+    const data = {
+      type: NOTIFICATION_TYPES.SUPER_LIKE,
+      likerId,
+      likerName,
+      timestamp: new Date().toISOString(),
+      ...additionalData
+    };
+
+    // Super like normal beğeniden daha önemli, yüksek öncelikle gönder
+    const result = await this.notificationService.sendToUsers(
+      localizedNotification.title,
+      localizedNotification.body,
+      [likedId],
+      data,
+      { priority: NOTIFICATION_PRIORITIES.HIGH }
+    );
+
+    this.log(`Super like notification sent to user ${likedId} in ${localizedNotification.language}`);
+
+    return result;
+  }
+
+  async sendMessageReactionNotification(reactorId, receiverId, reactorName, reaction, reactionData = {}) {
+    const localizedNotification = await this.getLocalizedNotification(
+      receiverId,
+      'MESSAGE_REACTION',
+      { userName: reactorName, reaction }
+    );
+
+    const data = {
+      type: NOTIFICATION_TYPES.MESSAGE_REACTION,
+      reactorId,
+      reactorName,
+      reaction,
+      dialogId: reactionData.dialogId,
+      messageId: reactionData.messageId,
+      timestamp: new Date().toISOString()
+    };
+
+    // Tepkiler mesaj kadar önemli değil, düşük öncelikle gönder
+    const result = await this.notificationService.sendToUsers(
+      localizedNotification.title,
+      localizedNotification.body,
+      [receiverId],
+      data,
+      { priority: NOTIFICATION_PRIORITIES.LOW }
+    );
+
+    this.log(`Message reaction notification sent to user ${receiverId} in ${localizedNotification.language}`);
+
+    return result;
+  }
+
   async sendDirectMessageNotification(senderId, receiverId, senderName, messagePreview, directMessageData = {}) {
     // Get user's language preference first
     let userLanguage = 'en';
@@ -897,255 +1309,351 @@ export class NotificationTemplates {
     return result;
   }
 
-  getLocalizedMessagePreview(messageContent, attachment, language = 'en') {
+  getLocalizedMessagePreview(messageContent, attachment, language = 'en', options = {}) {
     // Define localized media type messages
     const MEDIA_MESSAGES = {
       en: {
         photo_sent: 'sent a photo',
         video_sent: 'sent a video', 
         audio_sent: 'sent an audio',
+        voice_sent: 'sent a voice message',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Replied'
       },
       tr: {
         photo_sent: 'fotoğraf gönderdi',
         video_sent: 'video gönderdi',
         audio_sent: 'ses kaydı gönderdi',
+        voice_sent: 'sesli mesaj gönderdi',
         photo_icon: '📷',
         video_icon: '🎥', 
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Yanıtladı'
       },
       de: {
         photo_sent: 'hat ein Foto gesendet',
         video_sent: 'hat ein Video gesendet',
         audio_sent: 'hat eine Audiodatei gesendet',
+        voice_sent: 'hat eine Sprachnachricht gesendet',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Antwortete'
       },
       es: {
         photo_sent: 'envió una foto',
         video_sent: 'envió un video',
         audio_sent: 'envió un audio',
+        voice_sent: 'envió un mensaje de voz',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Respondió'
       },
       fr: {
         photo_sent: 'a envoyé une photo',
         video_sent: 'a envoyé une vidéo',
         audio_sent: 'a envoyé un audio',
+        voice_sent: 'a envoyé un message vocal',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'A répondu'
       },
       ar: {
         photo_sent: 'أرسل صورة',
         video_sent: 'أرسل فيديو',
         audio_sent: 'أرسل تسجيل صوتي',
+        voice_sent: 'أرسل رسالة صوتية',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'ردّ'
       },
       bn: {
         photo_sent: 'একটি ছবি পাঠিয়েছে',
         video_sent: 'একটি ভিডিও পাঠিয়েছে',
         audio_sent: 'একটি অডিও পাঠিয়েছে',
+        voice_sent: 'একটি ভয়েস মেসেজ পাঠিয়েছে',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'উত্তর দিয়েছে'
       },
       zh: {
         photo_sent: '发送了一张照片',
         video_sent: '发送了一个视频',
         audio_sent: '发送了一个音频',
+        voice_sent: '发送了一条语音消息',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: '回复'
       },
       he: {
         photo_sent: 'שלח תמונה',
         video_sent: 'שלח וידאו',
         audio_sent: 'שלח הקלטה',
+        voice_sent: 'שלח הודעה קולית',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'השיב/ה'
       },
       hi: {
         photo_sent: 'एक फोटो भेजी',
         video_sent: 'एक वीडियो भेजा',
         audio_sent: 'एक ऑडियो भेजा',
+        voice_sent: 'एक वॉइस मैसेज भेजा',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'जवाब दिया'
       },
       id: {
         photo_sent: 'mengirim foto',
         video_sent: 'mengirim video',
         audio_sent: 'mengirim audio',
+        voice_sent: 'mengirim pesan suara',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Membalas'
       },
       it: {
         photo_sent: 'ha inviato una foto',
         video_sent: 'ha inviato un video',
         audio_sent: 'ha inviato un audio',
+        voice_sent: 'ha inviato un messaggio vocale',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Ha risposto'
       },
       ja: {
         photo_sent: '写真を送信しました',
         video_sent: '動画を送信しました',
         audio_sent: '音声を送信しました',
+        voice_sent: 'ボイスメッセージを送信しました',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: '返信'
       },
       ko: {
         photo_sent: '사진을 보냈습니다',
         video_sent: '동영상을 보냈습니다',
         audio_sent: '음성을 보냈습니다',
+        voice_sent: '음성 메시지를 보냈습니다',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: '답장'
       },
       fa: {
         photo_sent: 'عکسی فرستاد',
         video_sent: 'ویدیویی فرستاد',
         audio_sent: 'صدایی فرستاد',
+        voice_sent: 'یک پیام صوتی فرستاد',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'پاسخ داد'
       },
       pl: {
         photo_sent: 'wysłał zdjęcie',
         video_sent: 'wysłał wideo',
         audio_sent: 'wysłał dźwięk',
+        voice_sent: 'wysłał wiadomość głosową',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Odpowiedź'
       },
       pt: {
         photo_sent: 'enviou uma foto',
         video_sent: 'enviou um vídeo',
         audio_sent: 'enviou um áudio',
+        voice_sent: 'enviou uma mensagem de voz',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Respondeu'
       },
       ru: {
         photo_sent: 'отправил фото',
         video_sent: 'отправил видео',
         audio_sent: 'отправил аудио',
+        voice_sent: 'отправил голосовое сообщение',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Ответ'
       },
       th: {
         photo_sent: 'ส่งรูปภาพ',
         video_sent: 'ส่งวิดีโอ',
         audio_sent: 'ส่งเสียง',
+        voice_sent: 'ส่งข้อความเสียง',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'ตอบกลับ'
       },
       uk: {
         photo_sent: 'надіслав фото',
         video_sent: 'надіслав відео',
         audio_sent: 'надіслав аудіо',
+        voice_sent: 'надіслав голосове повідомлення',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Відповідь'
       },
       ur: {
         photo_sent: 'تصویر بھیجی',
         video_sent: 'ویڈیو بھیجا',
         audio_sent: 'آڈیو بھیجا',
+        voice_sent: 'ایک صوتی پیغام بھیجا',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'جواب دیا'
       },
       vi: {
         photo_sent: 'đã gửi ảnh',
         video_sent: 'đã gửi video',
         audio_sent: 'đã gửi âm thanh',
+        voice_sent: 'đã gửi tin nhắn thoại',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Đã trả lời'
       },
       ms: {
         photo_sent: 'menghantar gambar',
         video_sent: 'menghantar video',
         audio_sent: 'menghantar audio',
+        voice_sent: 'menghantar mesej suara',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Membalas'
       },
       sw: {
         photo_sent: 'alituma picha',
         video_sent: 'alituma video',
         audio_sent: 'alituma sauti',
+        voice_sent: 'ametuma ujumbe wa sauti',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Amejibu'
       },
       nl: {
         photo_sent: 'heeft een foto gestuurd',
         video_sent: 'heeft een video gestuurd',
         audio_sent: 'heeft een audio gestuurd',
+        voice_sent: 'heeft een spraakbericht gestuurd',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Antwoordde'
       },
       sv: {
         photo_sent: 'skickade en bild',
         video_sent: 'skickade en video',
         audio_sent: 'skickade ett ljud',
+        voice_sent: 'skickade ett röstmeddelande',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Svarade'
       },
       no: {
         photo_sent: 'sendte et bilde',
         video_sent: 'sendte en video',
         audio_sent: 'sendte en lyd',
+        voice_sent: 'sendte en talemelding',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Svarte'
       },
       da: {
         photo_sent: 'sendte et billede',
         video_sent: 'sendte en video',
         audio_sent: 'sendte en lyd',
+        voice_sent: 'sendte en talebesked',
         photo_icon: '📷',
         video_icon: '🎥',
-        audio_icon: '🎵'
+        audio_icon: '🎵',
+        voice_icon: '🎤',
+        reply_prefix: 'Svarede'
       }
     };
 
     const messages = MEDIA_MESSAGES[language] || MEDIA_MESSAGES.en;
+    // Yanıt mesajlarında önizlemenin başına "↩️ Yanıtladı:" eklenir
+    const replyPrefix = options.isReply ? `↩️ ${messages.reply_prefix || MEDIA_MESSAGES.en.reply_prefix}: ` : '';
 
     if (attachment) {
       const { type } = attachment;
-      const icon = messages[`${type}_icon`] || '';
+      // Ses ekleri sesli mesaj olarak gösterilir
+      const labelKey = type === 'audio' ? 'voice' : type;
+      const icon = messages[`${labelKey}_icon`] || '';
       
       if (messageContent && messageContent.trim()) {
         // If there's a caption, show icon + caption
-        return `${icon} ${messageContent}`;
+        return `${replyPrefix}${icon} ${messageContent}`;
       } else {
-        // If no caption, show localized "sent a photo/video/audio" message
-        const mediaMessage = messages[`${type}_sent`] || `sent a ${type}`;
-        return `${icon} ${mediaMessage}`;
+        // If no caption, show localized "sent a photo/video/voice message" message
+        const mediaMessage = messages[`${labelKey}_sent`] || `sent a ${type}`;
+        const duration = type === 'audio' && options.durationMs ? ` (${this.formatDuration(options.durationMs)})` : '';
+        return `${replyPrefix}${icon} ${mediaMessage}${duration}`;
       }
     } else if (messageContent && messageContent.length > 100) {
       // For long text messages, truncate
-      return messageContent.substring(0, 97) + '...';
+      return replyPrefix + messageContent.substring(0, 97) + '...';
     }
 
-    return messageContent || '';
+    return replyPrefix + (messageContent || '');
+  }
+
+  formatDuration(durationMs) {
+    const totalSeconds = Math.round(durationMs / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
   }
 
   async sendMessageNotification(senderId, receiverId, senderName, messagePreview, conversationData = {}) {
@@ -1167,9 +1675,14 @@ export class NotificationTemplates {
       
       if (attachment.type) {
         // Get the original message content (without icons/previews)
-        const originalContent = messagePreview.replace(/^[📷🎥🎵]\s*/, '').replace(/^Sent a[n]? (photo|video|audio)$/, '');
-        localizedPreview = this.getLocalizedMessagePreview(originalContent, attachment, userLanguage);
+        const originalContent = messagePreview.replace(/^[📷🎥🎵🎤]\s*/, '').replace(/^Sent a[n]? (photo|video|audio)$/, '');
+        localizedPreview = this.getLocalizedMessagePreview(originalContent, attachment, userLanguage, {
+          isReply: !!conversationData.isReply,
+          durationMs: conversationData.durationMs
+        });
       }
+    } else if (conversationData.isReply) {
+      localizedPreview = this.getLocalizedMessagePreview(messagePreview, null, userLanguage, { isReply: true });
     }
 
     const truncatedPreview = localizedPreview.length > 100 ?
@@ -1193,6 +1706,7 @@ export class NotificationTemplates {
       senderName,
       dialogId: conversationData.dialogId,
       messageId: conversationData.messageId,
+      ...(conversationData.replyToMessageId && { replyToMessageId: conversationData.replyToMessageId }),
       timestamp: new Date().toISOString()
     };
 
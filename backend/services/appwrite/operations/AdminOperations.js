@@ -3,6 +3,9 @@
 import { Permission, Role } from 'node-appwrite';
 import { TRACKING_EVENTS } from '../utils/Constants.js';
 
+// Sunucunun yazdığı alanları (quota, durum, süre) taşıyan dokümanlarda owner'a daha dar izin verilir
+const DEFAULT_OWNER_PERMISSIONS = ['read', 'update', 'delete', 'write'];
+
 /**
  * Handles admin-level operations with elevated privileges
  */
@@ -25,6 +28,7 @@ export class AdminOperations {
    * @param {string} documentId - Document ID
    * @param {Object} data - Document data
    * @param {Array} additionalUsers - Additional users with permissions
+   * @param {Array} ownerPermissions - Permissions for requestingUserId (default: read, update, delete, write)
    * @returns {Promise<Object>} - Upserted document
    */
   async upsertDocumentWithAdminPrivileges(
@@ -33,7 +37,8 @@ export class AdminOperations {
     collectionId,
     documentId,
     data,
-    additionalUsers = []
+    additionalUsers = [],
+    ownerPermissions = DEFAULT_OWNER_PERMISSIONS
   ) {
     const context = {
       methodName: 'upsertDocumentWithAdminPrivileges',
@@ -49,7 +54,7 @@ export class AdminOperations {
 
     return this.executeAdminOperation(async () => {
       // Note: We receive JWT for user context, but use API key internally for admin operations
-      const permissions = this.buildPermissions(requestingUserId, additionalUsers);
+      const permissions = this.buildPermissions(requestingUserId, additionalUsers, ownerPermissions);
       
       this.log(`[ADMIN ACTION] Upserting document ${documentId} in ${collectionId} for user ${requestingUserId}`);
 
@@ -93,6 +98,7 @@ export class AdminOperations {
    * @param {string} documentId - Document ID
    * @param {Object} data - Document data
    * @param {Array} additionalUsers - Additional users with permissions
+   * @param {Array} ownerPermissions - Permissions for requestingUserId (default: read, update, delete, write)
    * @returns {Promise<Object>} - Created document
    */
   async createDocumentWithAdminPrivileges(
@@ -101,7 +107,8 @@ export class AdminOperations {
     collectionId,
     documentId,
     data,
-    additionalUsers = []
+    additionalUsers = [],
+    ownerPermissions = DEFAULT_OWNER_PERMISSIONS
   ) {
     const context = {
       methodName: 'createDocumentWithAdminPrivileges',
@@ -117,7 +124,7 @@ export class AdminOperations {
 
     return this.executeAdminOperation(async () => {
       // Note: We receive JWT for user context, but use API key internally for admin operations
-      const permissions = this.buildPermissions(requestingUserId, additionalUsers);
+      const permissions = this.buildPermissions(requestingUserId, additionalUsers, ownerPermissions);
       
       this.log(`[ADMIN ACTION] Creating document in ${collectionId} with permissions for user ${requestingUserId}`);
 
@@ -153,6 +160,7 @@ export class AdminOperations {
    * @param {string} documentId - Document ID
    * @param {Object} data - Update data
    * @param {Array} additionalUsers - Additional users with permissions
+   * @param {Array} ownerPermissions - Permissions for requestingUserId (default: read, update, delete, write)
    * @returns {Promise<Object>} - Updated document
    */
   async updateDocumentWithAdminPrivileges(
@@ -161,7 +169,8 @@ export class AdminOperations {
     collectionId,
     documentId,
     data,
-    additionalUsers = []
+    additionalUsers = [],
+    ownerPermissions = DEFAULT_OWNER_PERMISSIONS
   ) {
     const context = {
       methodName: 'updateDocumentWithAdminPrivileges',
@@ -177,7 +186,7 @@ export class AdminOperations {
 
     return this.executeAdminOperation(async () => {
       // Note: We receive JWT for user context, but use API key internally for admin operations
-      const permissions = this.buildPermissions(requestingUserId, additionalUsers);
+      const permissions = this.buildPermissions(requestingUserId, additionalUsers, ownerPermissions);
       
       this.log(`[ADMIN ACTION] Updating document ${documentId} in ${collectionId} for user ${requestingUserId}`);
 
@@ -806,15 +815,11 @@ export class AdminOperations {
    * Build permissions array
    * @param {string} ownerId - Document owner ID
    * @param {Array} additionalUsers - Additional users
+   * @param {Array} ownerPermissions - Permission names granted to the owner
    * @returns {Array} - Permissions array
    */
-  buildPermissions(ownerId, additionalUsers = []) {
-    const permissions = [
-      Permission.read(Role.user(ownerId)),
-      Permission.update(Role.user(ownerId)),
-      Permission.delete(Role.user(ownerId)),
-      Permission.write(Role.user(ownerId)),
-    ];
+  buildPermissions(ownerId, additionalUsers = [], ownerPermissions = DEFAULT_OWNER_PERMISSIONS) {
+    const permissions = ownerPermissions.map(perm => Permission[perm](Role.user(ownerId)));
 
     additionalUsers.forEach(({ userId, permissions: perms = ['read'] }) => {
       perms.forEach(perm => {
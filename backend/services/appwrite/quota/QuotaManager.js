@@ -1,3 +1,5 @@
+import { QUOTA_DEFAULT_LIMITS } from '../utils/Constants.js';
+
 /**
  * Manages daily quotas with timezone-aware resets and fraud detection
  */
@@ -289,7 +291,10 @@ export class QuotaManager {
           const titles = {
             'translate': 'Translations',
             'directmessage': 'Direct Messages',
-            'direct_message': 'Direct Messages'
+            'direct_message': 'Direct Messages',
+            'superlike': 'Super Likes',
+            'rewind': 'Rewinds',
+            'matchextend': 'Match Extensions'
           };
           return titles[quotaName.toLowerCase()] || quotaName;
         };
@@ -299,7 +304,10 @@ export class QuotaManager {
           const icons = {
             'translate': '🌐',
             'directmessage': '✉️',
-            'direct_message': '✉️'
+            'direct_message': '✉️',
+            'superlike': '⭐',
+            'rewind': '↩️',
+            'matchextend': '⏳'
           };
           return icons[quotaName.toLowerCase()] || '📊';
         };
@@ -390,7 +398,12 @@ export class QuotaManager {
 
       // Find the specific quota document
       const quotas = profile.quotas || [];
-      const quotaDoc = quotas.find(q => q.quotaType === quotaType);
+      let quotaDoc = quotas.find(q => q.quotaType === quotaType);
+
+      // Quota type added after the user signed up - create it with its default limit
+      if (!quotaDoc && QUOTA_DEFAULT_LIMITS[quotaType] !== undefined) {
+        quotaDoc = await this.provisionQuota(jwtToken, userId, quotaType, profile.$id);
+      }
 
       if (!quotaDoc) {
         this._logError('Quota type not found', new Error('Quota not found'), { userId, quotaType });
@@ -540,11 +553,41 @@ export class QuotaManager {
     }
   }
 
+  /**
+   * Give back quota consumed by an operation that did not take effect
+   * @param {string} jwtToken - User JWT token
+   * @param {string} userId - User ID
+   * @param {string} quotaType - Type of quota to refund
+   * @param {number} amount - Amount to refund (default 1)
+   * @returns {Promise<Object|null>} - { remaining, dailyLimit } or null if the quota does not exist
+   */
+  async refundQuota(jwtToken, userId, quotaType, amount = 1) {
+    this._log('Refunding quota', { userId, quotaType, amount });
+
+    try {
+      const quotas = await this.getProfileQuotas(jwtToken, userId);
+      const quotaDoc = quotas.find(q => q.quotaType === quotaType);
+      if (!quotaDoc) {
+        return null;
+      }
+
+      // Arada reset olduysa günlük limiti aşmasın
+      const remaining = Math.min(quotaDoc.dailyLimit, (quotaDoc.remainingCount ?? 0) + amount);
+      await this.updateProfileQuota(jwtToken, quotaDoc.$id, { remainingCount: remaining });
+
+      return { remaining, dailyLimit: quotaDoc.dailyLimit };
+
+    } catch (error) {
+      this._logError('Quota refund failed', error, { userId, quotaType, amount });
+      throw error;
+    }
+  }
+
   /**
    * Check if quota should be reset based on user's timezone
    * @private
    */
-  shouldResetQuota(timezoneOffset, lastResetDate) {
+  shouldResetQuota(timezoneOffset, lastResetDate, now = new Date()) {
     this._logDebug('Checking if quota should reset', { timezoneOffset, lastResetDate });
     
     // timezoneOffset: dakika cinsinden offset değeri
@@ -552,7 +595,7 @@ export class QuotaManager {
     timezoneOffset = timezoneOffset !== null && timezoneOffset !== undefined ? timezoneOffset : 0;
 
     // Şu anki UTC zamanı
-    const nowUTC = new Date();
+    const nowUTC = new Date(now.getTime());
     const nowUTCTime = nowUTC.getTime();
 
     // Kullanıcının yerel zamanında bugünün başlangıcını (gece yarısı) bul
@@ -1148,6 +1191,81 @@ export class QuotaManager {
     }
   }
 
+  /**
+   * Reset quotas whose daily window has already passed, ahead of the user's next request.
+   * Only documents with a resetDate older than 24 hours are considered: their reset boundary
+   * has passed in every timezone, the exact new resetDate is still computed per user.
+   * @param {string|null} jwtToken - Unused by admin operations, kept for signature consistency
+   * @param {Object} options
+   * @param {Date} options.now - Reference time (injectable for scheduled jobs)
+   * @param {number} options.batchSize - Documents fetched per page
+   * @param {number} options.maxBatches - Upper bound on pages per run
+   * @returns {Promise<Object>} - { scanned, reset, failed }
+   */
+  async preResetQuotas(jwtToken, { now = new Date(), batchSize = 100, maxBatches = 20 } = {}) {
+    const { Query } = await import('node-appwrite');
+    const staleBefore = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString();
+    const timezoneByUser = new Map();
+    const stats = { scanned: 0, reset: 0, failed: 0 };
+
+    this._log('Pre-resetting stale quotas', { staleBefore });
+
+    let afterId = null;
+    for (let batch = 0; batch < maxBatches; batch++) {
+      const queries = [
+        Query.or([
+          Query.lessThan('resetDate', staleBefore),
+          Query.isNull('resetDate')
+        ]),
+        Query.orderAsc('$id'),
+        Query.limit(batchSize)
+      ];
+      if (afterId) {
+        queries.push(Query.cursorAfter(afterId));
+      }
+
+      const page = await this.adminOps.listAllDocuments(
+        jwtToken,
+        process.env.DB_COLLECTION_PROFILE_QUOTAS_ID,
+        queries
+      );
+
+      for (const quota of page.documents) {
+        stats.scanned++;
+        try {
+          if (!timezoneByUser.has(quota.userId)) {
+            const tracking = await this.getProfileTimezoneTracking(jwtToken, quota.userId);
+            timezoneByUser.set(quota.userId, tracking?.timezoneOffset || 0);
+          }
+
+          const resetCheck = this.shouldResetQuota(timezoneByUser.get(quota.userId), quota.resetDate, now);
+          if (!resetCheck.shouldReset) continue;
+
+          await this.adminOps.updateDocument(
+            jwtToken,
+            process.env.DB_COLLECTION_PROFILE_QUOTAS_ID,
+            quota.$id,
+            {
+              remainingCount: quota.dailyLimit,
+              resetDate: resetCheck.resetDate,
+              lastUsed: null
+            }
+          );
+          stats.reset++;
+        } catch (error) {
+          stats.failed++;
+          this._logError('Failed to pre-reset quota', error, { quotaId: quota.$id, userId: quota.userId });
+        }
+      }
+
+      if (page.documents.length < batchSize) break;
+      afterId = page.documents[page.documents.length - 1].$id;
+    }
+
+    this._log('Pre-reset completed', stats);
+    return stats;
+  }
+
   /**
    * Clear suspension for a user (admin function)
    * @param {string} jwtToken - Admin JWT token
@@ -1369,6 +1487,33 @@ export class QuotaManager {
     }
   }
 
+  /**
+   * Create a missing quota document using the default daily limit of its type
+   * @param {string} jwtToken - JWT token
+   * @param {string} userId - User ID
+   * @param {string} quotaType - Quota type (must exist in QUOTA_DEFAULT_LIMITS)
+   * @param {string} profileId - Profile document ID for the relation
+   * @returns {Promise<Object>} - Created quota document
+   */
+  async provisionQuota(jwtToken, userId, quotaType, profileId) {
+    const dailyLimit = QUOTA_DEFAULT_LIMITS[quotaType];
+    this._log('Provisioning missing quota', { userId, quotaType, dailyLimit });
+
+    try {
+      return await this.adminOps.createDocumentWithAdminPrivileges(
+        jwtToken,
+        userId,
+        process.env.DB_COLLECTION_PROFILE_QUOTAS_ID,
+        'unique()',
+        { userId, quotaType, remainingCount: dailyLimit, dailyLimit, profileRef: profileId },
+        [{ userId: userId, permissions: ['write', 'read', 'delete'] }]
+      );
+    } catch (error) {
+      this._logError('Failed to provision quota', error, { userId, quotaType });
+      throw error;
+    }
+  }
+
   /**
    * Get full profile with all related data
    * @param {string} jwtToken - JWT token
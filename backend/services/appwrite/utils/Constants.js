@@ -150,6 +150,16 @@ export const ERROR_CATEGORIES = {
   UNKNOWN: 'unknown_validation_error'
 };
 
+// Default daily limits per quota type
+// Used when a user predates a quota type and its document has to be provisioned lazily
+export const QUOTA_DEFAULT_LIMITS = {
+  DIRECT_MESSAGE: 5,
+  TRANSLATE: 5,
+  SUPER_LIKE: 1,
+  REWIND: 3,
+  MATCH_EXTEND: 1
+};
+
 // Event Names for Tracking
 export const TRACKING_EVENTS = {
   // Authentication Events
@@ -197,5 +207,6 @@ export default {
   USAGE_FREQUENCY,
   MEMORY_THRESHOLDS,
   ERROR_CATEGORIES,
+  QUOTA_DEFAULT_LIMITS,
   TRACKING_EVENTS,
 };
\ No newline at end of file
@@ -0,0 +1,144 @@
+// src/services/appwrite/vision/FaceComparator.js
+
+/**
+ * Face comparators used by selfie verification.
+ *
+ * A comparator receives one probe face (the selfie) and the reference faces
+ * (profile photos), each in the shape returned by
+ * ImageAnalysisService.performFaceDetection, and resolves to
+ * { matched, score, referenceIndex }.
+ *
+ * The default `landmark` comparator is a local stand-in: it only compares
+ * face geometry and is not a biometric matcher. Production deployments can
+ * register an embedding-based comparator and select it with FACE_COMPARATOR.
+ */
+
+// İmzaya giren landmark'lar; Vision API bunların hepsini her yüzde döndürmeyebilir
+const SIGNATURE_LANDMARKS = [
+  'LEFT_EYE',
+  'RIGHT_EYE',
+  'MIDPOINT_BETWEEN_EYES',
+  'NOSE_TIP',
+  'NOSE_BOTTOM_CENTER',
+  'MOUTH_LEFT',
+  'MOUTH_RIGHT',
+  'MOUTH_CENTER',
+  'CHIN_GNATHION',
+  'FOREHEAD_GLABELLA',
+  'LEFT_EAR_TRAGION',
+  'RIGHT_EAR_TRAGION'
+];
+
+// Anlamlı bir karşılaştırma için iki yüzde ortak olması gereken en az landmark
+const MIN_SHARED_LANDMARKS = 6;
+
+/**
+ * Compares faces by their landmark geometry.
+ * Tüm landmark çiftleri arasındaki 3B mesafeler göz arası mesafeye bölünür;
+ * böylece imza ölçekten ve baş dönüşünden büyük ölçüde bağımsız olur.
+ */
+export class LandmarkFaceComparator {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? parseFloat(process.env.FACE_MATCH_THRESHOLD || '0.9');
+  }
+
+  async compare(probeFace, referenceFaces) {
+    let best = { matched: false, score: 0, referenceIndex: null };
+
+    referenceFaces.forEach((referenceFace, referenceIndex) => {
+      const score = this.similarity(probeFace, referenceFace);
+      if (score !== null && score > best.score) {
+        best = { matched: score >= this.threshold, score, referenceIndex };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * 0-1 arası benzerlik; ortak landmark yetersizse null
+   */
+  similarity(faceA, faceB) {
+    const pointsA = this.getLandmarkPoints(faceA);
+    const pointsB = this.getLandmarkPoints(faceB);
+    const shared = SIGNATURE_LANDMARKS.filter(type => pointsA[type] && pointsB[type]);
+
+    if (shared.length < MIN_SHARED_LANDMARKS || !shared.includes('LEFT_EYE') || !shared.includes('RIGHT_EYE')) {
+      return null;
+    }
+
+    const signatureA = this.buildSignature(pointsA, shared);
+    const signatureB = this.buildSignature(pointsB, shared);
+    if (!signatureA || !signatureB) {
+      return null;
+    }
+
+    const totalDifference = signatureA.reduce((sum, value, index) => {
+      const larger = Math.max(value, signatureB[index]);
+      return sum + (larger === 0 ? 0 : Math.abs(value - signatureB[index]) / larger);
+    }, 0);
+
+    return Math.max(0, 1 - totalDifference / signatureA.length);
+  }
+
+  buildSignature(points, types) {
+    const eyeDistance = this.distance(points.LEFT_EYE, points.RIGHT_EYE);
+    if (!eyeDistance) {
+      return null;
+    }
+
+    const signature = [];
+    for (let i = 0; i < types.length; i++) {
+      for (let j = i + 1; j < types.length; j++) {
+        signature.push(this.distance(points[types[i]], points[types[j]]) / eyeDistance);
+      }
+    }
+    return signature;
+  }
+
+  getLandmarkPoints(face) {
+    const points = {};
+    (face?.landmarks || []).forEach(landmark => {
+      if (landmark.position) {
+        points[landmark.type] = landmark.position;
+      }
+    });
+    return points;
+  }
+
+  distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0));
+  }
+}
+
+const comparatorFactories = {
+  landmark: (options) => new LandmarkFaceComparator(options)
+};
+
+/**
+ * Register a comparator implementation under a name selectable via FACE_COMPARATOR
+ * @param {string} name - Comparator name
+ * @param {Function} factory - (options) => comparator with async compare(probeFace, referenceFaces)
+ */
+export function registerFaceComparator(name, factory) {
+  comparatorFactories[name] = factory;
+}
+
+/**
+ * Create the configured comparator
+ * @param {string} name - Defaults to FACE_COMPARATOR or 'landmark'
+ * @param {Object} options - Passed to the factory
+ */
+export function createFaceComparator(name = process.env.FACE_COMPARATOR || 'landmark', options = {}) {
+  const factory = comparatorFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown face comparator: ${name}. Registered: ${Object.keys(comparatorFactories).join(', ')}`);
+  }
+  return factory(options);
+}
+
+export default {
+  LandmarkFaceComparator,
+  registerFaceComparator,
+  createFaceComparator
+};
@@ -42,6 +42,7 @@ export const ANALYSIS_EVENTS = {
   PROFILE_PHOTO_ANALYZED: 'profile_photo_analyzed',
   BATCH_ANALYZED: 'batch_analyzed',
   CONTENT_MODERATED: 'content_moderated',
+  SELFIE_VERIFICATION_COMPLETED: 'selfie_verification_completed',
   ANALYSIS_FAILED: 'analysis_failed'
 };
 
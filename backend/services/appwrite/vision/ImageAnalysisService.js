@@ -196,6 +196,23 @@ export class ImageAnalysisService {
     }, context);
   }
 
+  /**
+   * Detect faces with landmarks and head angles, without safety analysis
+   * @param {Buffer|string} image - Image buffer or URL
+   * @returns {Promise<Object>} - Face detection result
+   */
+  async detectFaces(image) {
+    const context = {
+      methodName: 'detectFaces',
+      imageType: Buffer.isBuffer(image) ? 'buffer' : 'url'
+    };
+
+    return this.executeAnalysis(async () => {
+      const imageBuffer = await this.prepareImage(image);
+      return this.performFaceDetection(imageBuffer);
+    }, context);
+  }
+
   /**
    * Batch analyze multiple images
    * @param {Array<Buffer|string>} images - Images to analyze
@@ -370,7 +387,17 @@ export class ImageAnalysisService {
         attributes: {
           headwear: face.headwearLikelihood,
           blurred: face.blurredLikelihood
-        }
+        },
+        angles: {
+          roll: face.rollAngle,
+          pan: face.panAngle,
+          tilt: face.tiltAngle
+        },
+        boundingBox: face.fdBoundingPoly?.vertices || [],
+        landmarks: (face.landmarks || []).map(landmark => ({
+          type: landmark.type,
+          position: landmark.position
+        }))
       }))
     };
   }
@@ -0,0 +1,100 @@
+// CronSchedule.js
+
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 6 } // 0 = Pazar
+];
+
+/**
+ * 5 alanlı cron ifadesi (dakika saat gün ay haftanın-günü), UTC'ye göre değerlendirilir.
+ * Desteklenen sözdizimi: `*`, `n`, `a-b`, `a,b,c` ve adımlı biçimler (`a-b/n`, yıldız/n)
+ *
+ * Standart cron'daki gibi ayın günü ve haftanın günü ikisi de kısıtlıysa
+ * (ikisi de `*` ile başlamıyorsa) günlerden biri eşleşmesi yeterlidir;
+ * ör. `0 0 1 * 1` her ayın 1'inde ve her pazartesi çalışır.
+ */
+export class CronSchedule {
+  constructor(expression) {
+    if (typeof expression !== 'string') {
+      throw new Error('Cron expression must be a string');
+    }
+
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length !== FIELD_RANGES.length) {
+      throw new Error(`Invalid cron expression "${expression}": expected ${FIELD_RANGES.length} fields`);
+    }
+
+    this.expression = expression;
+    this.fields = parts.map((part, index) => CronSchedule.parseField(part, FIELD_RANGES[index], expression));
+    this.dayOfMonthRestricted = !parts[2].startsWith('*');
+    this.dayOfWeekRestricted = !parts[4].startsWith('*');
+  }
+
+  static parseField(part, range, expression) {
+    const values = new Set();
+
+    for (const segment of part.split(',')) {
+      const [rangePart, stepPart] = segment.split('/');
+      const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+
+      let start, end;
+      if (rangePart === '*') {
+        start = range.min;
+        end = range.max;
+      } else if (rangePart.includes('-')) {
+        [start, end] = rangePart.split('-').map(v => parseInt(v, 10));
+      } else {
+        start = parseInt(rangePart, 10);
+        end = stepPart === undefined ? start : range.max;
+      }
+
+      if ([start, end, step].some(Number.isNaN) || step < 1 ||
+        start < range.min || end > range.max || start > end) {
+        throw new Error(`Invalid cron expression "${expression}": bad ${range.name} field "${part}"`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  matches(date) {
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = this.fields;
+    const dayOfMonthMatches = daysOfMonth.has(date.getUTCDate());
+    const dayOfWeekMatches = daysOfWeek.has(date.getUTCDay());
+    const dayMatches = this.dayOfMonthRestricted && this.dayOfWeekRestricted
+      ? dayOfMonthMatches || dayOfWeekMatches
+      : dayOfMonthMatches && dayOfWeekMatches;
+
+    return minutes.has(date.getUTCMinutes()) &&
+      hours.has(date.getUTCHours()) &&
+      months.has(date.getUTCMonth() + 1) &&
+      dayMatches;
+  }
+
+  /**
+   * Verilen andan sonraki ilk eşleşen dakika; bir yıl içinde yoksa null
+   */
+  nextAfter(date) {
+    const candidate = new Date(date.getTime());
+    candidate.setUTCSeconds(0, 0);
+    candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+    const limit = candidate.getTime() + 366 * 24 * 60 * 60 * 1000;
+    while (candidate.getTime() <= limit) {
+      if (this.matches(candidate)) {
+        return candidate;
+      }
+      candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+    }
+    return null;
+  }
+}
+
+export default CronSchedule;
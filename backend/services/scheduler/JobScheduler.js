@@ -0,0 +1,193 @@
+// JobScheduler.js
+import crypto from 'crypto';
+import { CronSchedule } from './CronSchedule.js';
+
+const systemClock = {
+  now: () => new Date()
+};
+
+/**
+ * Process içi zamanlanmış iş çalıştırıcı.
+ * - Cron tanımları UTC'ye göre dakika hassasiyetinde değerlendirilir
+ * - Aynı iş bir önceki çalışması bitmeden tekrar başlatılmaz (single-run lock)
+ * - Her çalışma geçmişe yazılır; işler elle de tetiklenebilir
+ * - Saat `clock.now()` üzerinden okunur, testlerde sahte saat verilip tick() çağrılabilir
+ */
+export class JobScheduler {
+  constructor(dependencies = {}) {
+    this.clock = dependencies.clock || systemClock;
+    this.log = dependencies.logger || console.log;
+    this.historyLimit = dependencies.historyLimit || parseInt(process.env.JOB_HISTORY_LIMIT || '50');
+    this.tickIntervalMs = dependencies.tickIntervalMs || 30 * 1000;
+
+    this.LOG_PREFIX = '[JOB_SCHEDULER]';
+
+    this.jobs = new Map(); // name -> job definition + state
+    this.timer = null;
+  }
+
+  /**
+   * @param {Object} definition
+   * @param {string} definition.name - Benzersiz iş adı
+   * @param {string} definition.schedule - Cron ifadesi (UTC)
+   * @param {Function} definition.handler - async ({ now, runId, trigger, log }) => summary
+   * @param {string} [definition.description]
+   * @param {boolean} [definition.enabled=true] - false ise sadece elle tetiklenebilir
+   */
+  register(definition) {
+    const { name, schedule, handler, description = '', enabled = true } = definition;
+
+    if (!name || typeof handler !== 'function') {
+      throw new Error('Job definition requires a name and a handler function');
+    }
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      description,
+      enabled,
+      schedule: new CronSchedule(schedule),
+      handler,
+      running: false,
+      lastScheduledMinute: null,
+      history: []
+    });
+
+    this.log(`${this.LOG_PREFIX} Registered job "${name}" (${schedule})${enabled ? '' : ' [disabled]'}`);
+    return this;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.tick().catch(err => this.log(`${this.LOG_PREFIX} Tick failed: ${err.message}`));
+    }, this.tickIntervalMs);
+
+    // Zamanlayıcı process'in kapanmasını engellemesin
+    if (typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+
+    this.log(`${this.LOG_PREFIX} Started with ${this.jobs.size} jobs`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.log(`${this.LOG_PREFIX} Stopped`);
+    }
+  }
+
+  /**
+   * Şu anki dakikada vadesi gelen işleri başlatır ve bitmelerini bekler.
+   * Aynı dakika içinde birden fazla tick gelse de iş bir kez çalışır.
+   */
+  async tick() {
+    const now = this.clock.now();
+    const minuteKey = Math.floor(now.getTime() / 60000);
+    const dueRuns = [];
+
+    for (const job of this.jobs.values()) {
+      if (!job.enabled || job.lastScheduledMinute === minuteKey || !job.schedule.matches(now)) {
+        continue;
+      }
+      job.lastScheduledMinute = minuteKey;
+      dueRuns.push(this.runJob(job.name, 'schedule'));
+    }
+
+    return Promise.all(dueRuns);
+  }
+
+  async trigger(name) {
+    return this.runJob(name, 'manual');
+  }
+
+  async runJob(name, trigger = 'manual') {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job not found: ${name}`);
+    }
+
+    const startedAt = this.clock.now();
+    const runId = crypto.randomUUID();
+
+    if (job.running) {
+      const skipped = {
+        runId,
+        trigger,
+        status: 'skipped',
+        reason: 'already_running',
+        startedAt: startedAt.toISOString(),
+        finishedAt: startedAt.toISOString(),
+        durationMs: 0
+      };
+      this.recordRun(job, skipped);
+      this.log(`${this.LOG_PREFIX} Skipped "${name}" (${trigger}): previous run still in progress`);
+      return skipped;
+    }
+
+    job.running = true;
+    this.log(`${this.LOG_PREFIX} Running "${name}" (${trigger}) runId=${runId}`);
+
+    const entry = { runId, trigger, startedAt: startedAt.toISOString() };
+
+    try {
+      const summary = await job.handler({
+        now: startedAt,
+        runId,
+        trigger,
+        log: (message) => this.log(`${this.LOG_PREFIX} [${name}] ${message}`)
+      });
+      entry.status = 'success';
+      entry.summary = summary ?? null;
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      this.log(`${this.LOG_PREFIX} Job "${name}" failed: ${error.message}`);
+    } finally {
+      job.running = false;
+    }
+
+    const finishedAt = this.clock.now();
+    entry.finishedAt = finishedAt.toISOString();
+    entry.durationMs = finishedAt.getTime() - startedAt.getTime();
+
+    this.recordRun(job, entry);
+    this.log(`${this.LOG_PREFIX} Finished "${name}" with status=${entry.status} in ${entry.durationMs}ms`);
+    return entry;
+  }
+
+  recordRun(job, entry) {
+    job.history.unshift(entry);
+    if (job.history.length > this.historyLimit) {
+      job.history.length = this.historyLimit;
+    }
+  }
+
+  getHistory(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job not found: ${name}`);
+    }
+    return job.history;
+  }
+
+  getJobs() {
+    const now = this.clock.now();
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule.expression,
+      enabled: job.enabled,
+      running: job.running,
+      nextRunAt: job.enabled ? job.schedule.nextAfter(now)?.toISOString() ?? null : null,
+      lastRun: job.history[0] || null
+    }));
+  }
+}
+
+export default JobScheduler;
@@ -0,0 +1,23 @@
+// index.js
+import { JobScheduler } from './JobScheduler.js';
+import { createHousekeepingJobs } from './jobs/housekeepingJobs.js';
+import { createMatchExpiryJob } from './jobs/matchExpiryJob.js';
+
+const jobScheduler = new JobScheduler();
+let defaultJobsRegistered = false;
+
+/**
+ * Varsayılan işleri kaydeder. İş tanımları cron ve limit env'lerini okuduğu için
+ * modül yüklenirken değil, dotenv yüklendikten sonra çağrılmalı. Tekrar çağrılması zararsızdır.
+ */
+export function registerDefaultJobs() {
+  if (defaultJobsRegistered) return jobScheduler;
+  defaultJobsRegistered = true;
+
+  createHousekeepingJobs().forEach(job => jobScheduler.register(job));
+  jobScheduler.register(createMatchExpiryJob());
+  return jobScheduler;
+}
+
+export { JobScheduler };
+export default jobScheduler;
@@ -0,0 +1,110 @@
+// housekeepingJobs.js
+import AppwriteService from '../../appwrite/AppwriteService.js';
+import { EXCLUSION_CONFIG } from '../../../modules/explore/utils/Constants.js';
+import { cleanupExpiredEntries } from '../../../api/account/PublicAccountDeletionEndpoint.js';
+
+const { createQuery } = AppwriteService;
+const Query = createQuery();
+
+const DELETE_BATCH_SIZE = 100;
+
+const getMaxBatchesPerRun = () => parseInt(process.env.JOB_MAX_BATCHES_PER_RUN || '20');
+
+/**
+ * Sorguya uyan dokümanları sayfa sayfa siler. Tek çalışmada en fazla
+ * JOB_MAX_BATCHES_PER_RUN sayfa işlenir, kalanlar bir sonraki çalışmaya kalır.
+ */
+async function deleteInBatches(collectionId, filters, log) {
+  const appwriteService = AppwriteService.getInstance();
+  const stats = { deleted: 0, failed: 0, batches: 0, hasMore: false };
+  const maxBatches = getMaxBatchesPerRun();
+
+  for (let batch = 0; batch < maxBatches; batch++) {
+    const page = await appwriteService.listDocumentsWithAdminPrivileges(
+      null,
+      collectionId,
+      [...filters, Query.limit(DELETE_BATCH_SIZE)]
+    );
+
+    if (page.documents.length === 0) {
+      return stats;
+    }
+
+    const result = await appwriteService.bulkDeleteDocumentsWithAdminPrivileges(
+      null,
+      collectionId,
+      page.documents.map(doc => doc.$id)
+    );
+
+    stats.batches++;
+    stats.deleted += result.successful.length;
+    stats.failed += result.failed.length;
+    log(`Batch ${stats.batches}: deleted ${result.successful.length}, failed ${result.failed.length}`);
+
+    // Hiçbiri silinemediyse aynı sayfayı tekrar tekrar çekmeyelim
+    if (result.successful.length === 0) {
+      return stats;
+    }
+    if (page.documents.length < DELETE_BATCH_SIZE) {
+      return stats;
+    }
+  }
+
+  stats.hasMore = true;
+  return stats;
+}
+
+// Cron env'leri burada okunur; dotenv yüklendikten sonra çağrılmalı (bkz. registerDefaultJobs)
+export function createHousekeepingJobs() {
+  return [
+    {
+      name: 'purge-expired-likes',
+      description: 'Delete unmatched likes whose expireDate has passed',
+      schedule: process.env.JOB_PURGE_EXPIRED_LIKES_CRON || '15 * * * *',
+      handler: async ({ now, log }) => {
+        return deleteInBatches(
+          process.env.DB_COLLECTION_LIKES_ID,
+          [
+            Query.lessThan('expireDate', now.toISOString()),
+            Query.isNull('matchId')
+          ],
+          log
+        );
+      }
+    },
+    {
+      name: 'prune-old-dislikes',
+      description: 'Delete dislikes older than the explore dislike timeframe',
+      schedule: process.env.JOB_PRUNE_OLD_DISLIKES_CRON || '30 3 * * *',
+      handler: async ({ now, log }) => {
+        const retentionDays = parseInt(process.env.JOB_DISLIKE_RETENTION_DAYS || String(EXCLUSION_CONFIG.DISLIKES_TIMEFRAME_DAYS));
+        const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+        log(`Pruning dislikes created before ${cutoff.toISOString()}`);
+
+        return deleteInBatches(
+          process.env.DB_COLLECTION_DISLIKES_ID,
+          [Query.lessThan('$createdAt', cutoff.toISOString())],
+          log
+        );
+      }
+    },
+    {
+      name: 'purge-expired-otps',
+      description: 'Delete expired account deletion OTP codes and tokens from this instance',
+      // OTP'ler instance belleğinde tutulur; bu iş kapalı olan instance'larda sadece okuma anında temizlenir
+      schedule: process.env.JOB_PURGE_EXPIRED_OTPS_CRON || '*/5 * * * *',
+      handler: async ({ now }) => cleanupExpiredEntries(now.getTime())
+    },
+    {
+      name: 'pre-reset-quotas',
+      description: 'Reset daily quotas whose window has passed before users hit them',
+      schedule: process.env.JOB_PRE_RESET_QUOTAS_CRON || '5 * * * *',
+      handler: async ({ now }) => {
+        const appwriteService = AppwriteService.getInstance();
+        return appwriteService.quotaManager.preResetQuotas(null, { now, maxBatches: getMaxBatchesPerRun() });
+      }
+    }
+  ];
+}
+
+export default createHousekeepingJobs;
@@ -0,0 +1,17 @@
+// matchExpiryJob.js
+import matchService from '../../../modules/match/matchService.js';
+import { MATCH_EXPIRY_CONFIG } from '../../../modules/match/utils/Constants.js';
+
+export function createMatchExpiryJob() {
+  return {
+    name: 'expire-matches',
+    description: 'Remind and expire matches that never received a first message',
+    schedule: process.env.JOB_EXPIRE_MATCHES_CRON || '*/10 * * * *',
+    // MATCH_EXPIRY_HOURS tanımlı değilse sadece elle tetiklenebilir (ve hiçbir şey yapmaz).
+    // Kayıt anında okunur; bu yüzden iş dotenv'den sonra registerDefaultJobs ile kaydedilir
+    enabled: MATCH_EXPIRY_CONFIG.isEnabled(),
+    handler: async ({ now, log }) => matchService.processMatchExpiry(now, log)
+  };
+}
+
+export default createMatchExpiryJob;
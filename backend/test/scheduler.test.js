@@ -0,0 +1,153 @@
+// scheduler.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CronSchedule } from '../services/scheduler/CronSchedule.js';
+import { JobScheduler } from '../services/scheduler/JobScheduler.js';
+
+// tick() saati sadece clock.now() üzerinden okur; testler zamanı elle ilerletir
+function createFakeClock(isoDate) {
+  let current = new Date(isoDate);
+  return {
+    now: () => new Date(current.getTime()),
+    set: (nextIsoDate) => { current = new Date(nextIsoDate); },
+    advanceMinutes: (minutes) => { current = new Date(current.getTime() + minutes * 60 * 1000); }
+  };
+}
+
+function createScheduler(clock) {
+  return new JobScheduler({ clock, logger: () => {} });
+}
+
+describe('CronSchedule', () => {
+  test('matches minute, hour and step fields in UTC', () => {
+    const schedule = new CronSchedule('*/15 3 * * *');
+    assert.equal(schedule.matches(new Date('2026-10-19T03:30:00Z')), true);
+    assert.equal(schedule.matches(new Date('2026-10-19T03:31:00Z')), false);
+    assert.equal(schedule.matches(new Date('2026-10-19T04:30:00Z')), false);
+  });
+
+  test('ORs day-of-month and day-of-week when both are restricted', () => {
+    const schedule = new CronSchedule('0 0 1 * 1');
+    assert.equal(schedule.matches(new Date('2026-10-19T00:00:00Z')), true); // pazartesi
+    assert.equal(schedule.matches(new Date('2026-11-01T00:00:00Z')), true); // ayın 1'i, pazar
+    assert.equal(schedule.matches(new Date('2026-10-20T00:00:00Z')), false);
+  });
+
+  test('ANDs the day fields when one of them starts with *', () => {
+    const schedule = new CronSchedule('0 0 */2 * 1');
+    assert.equal(schedule.matches(new Date('2026-10-19T00:00:00Z')), true); // 19 tek gün, pazartesi
+    assert.equal(schedule.matches(new Date('2026-10-26T00:00:00Z')), false); // pazartesi ama 26 adımda değil
+    assert.equal(schedule.matches(new Date('2026-10-21T00:00:00Z')), false); // adımda ama çarşamba
+  });
+
+  test('finds the next matching minute', () => {
+    const schedule = new CronSchedule('30 3 * * *');
+    const next = schedule.nextAfter(new Date('2026-10-19T03:30:00Z'));
+    assert.equal(next.toISOString(), '2026-10-20T03:30:00.000Z');
+  });
+
+  test('rejects malformed expressions', () => {
+    assert.throws(() => new CronSchedule('* * * *'), /expected 5 fields/);
+    assert.throws(() => new CronSchedule('60 * * * *'), /bad minute field/);
+    assert.throws(() => new CronSchedule('* * * * 7'), /bad dayOfWeek field/);
+  });
+});
+
+describe('JobScheduler', () => {
+  test('runs a due job once per minute on tick', async () => {
+    const clock = createFakeClock('2026-10-19T03:15:00Z');
+    const scheduler = createScheduler(clock);
+    const runs = [];
+    scheduler.register({
+      name: 'purge',
+      schedule: '15 * * * *',
+      handler: async ({ now, trigger }) => {
+        runs.push({ now: now.toISOString(), trigger });
+        return { deleted: 1 };
+      }
+    });
+
+    await scheduler.tick();
+    clock.set('2026-10-19T03:15:30Z');
+    await scheduler.tick();
+    clock.advanceMinutes(1);
+    await scheduler.tick();
+
+    assert.deepEqual(runs, [{ now: '2026-10-19T03:15:00.000Z', trigger: 'schedule' }]);
+
+    const [entry] = scheduler.getHistory('purge');
+    assert.equal(entry.status, 'success');
+    assert.deepEqual(entry.summary, { deleted: 1 });
+  });
+
+  test('does not schedule disabled jobs but allows a manual trigger', async () => {
+    const clock = createFakeClock('2026-10-19T03:15:00Z');
+    const scheduler = createScheduler(clock);
+    let runCount = 0;
+    scheduler.register({
+      name: 'disabled',
+      schedule: '* * * * *',
+      enabled: false,
+      handler: async () => { runCount++; }
+    });
+
+    await scheduler.tick();
+    assert.equal(runCount, 0);
+
+    const entry = await scheduler.trigger('disabled');
+    assert.equal(runCount, 1);
+    assert.equal(entry.trigger, 'manual');
+    assert.equal(scheduler.getJobs()[0].nextRunAt, null);
+  });
+
+  test('skips a run while the previous one is still in progress', async () => {
+    const clock = createFakeClock('2026-10-19T03:15:00Z');
+    const scheduler = createScheduler(clock);
+    let release;
+    scheduler.register({
+      name: 'slow',
+      schedule: '* * * * *',
+      handler: () => new Promise(resolve => { release = resolve; })
+    });
+
+    const firstTick = scheduler.tick();
+    const skipped = await scheduler.trigger('slow');
+    assert.equal(skipped.status, 'skipped');
+    assert.equal(skipped.reason, 'already_running');
+
+    release();
+    await firstTick;
+    assert.deepEqual(scheduler.getHistory('slow').map(entry => entry.status), ['success', 'skipped']);
+  });
+
+  test('records handler failures in the history', async () => {
+    const clock = createFakeClock('2026-10-19T03:15:00Z');
+    const scheduler = createScheduler(clock);
+    scheduler.register({
+      name: 'failing',
+      schedule: '* * * * *',
+      handler: async () => { throw new Error('boom'); }
+    });
+
+    await scheduler.tick();
+    const [entry] = scheduler.getHistory('failing');
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.error, 'boom');
+  });
+
+  test('reports the next run time from the injected clock', () => {
+    const clock = createFakeClock('2026-10-19T03:15:00Z');
+    const scheduler = createScheduler(clock);
+    scheduler.register({ name: 'nightly', schedule: '30 3 * * *', handler: async () => null });
+
+    assert.equal(scheduler.getJobs()[0].nextRunAt, '2026-10-19T03:30:00.000Z');
+  });
+
+  test('rejects duplicate job names', () => {
+    const scheduler = createScheduler(createFakeClock('2026-10-19T03:15:00Z'));
+    const definition = { name: 'dup', schedule: '* * * * *', handler: async () => null };
+    scheduler.register(definition);
+    assert.throws(() => scheduler.register(definition), /already registered/);
+  });
+});
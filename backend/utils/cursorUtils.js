@@ -0,0 +1,22 @@
+// cursorUtils.js
+
+// Client'a dönen cursor opak bir base64url string; içeriği sadece sunucu yorumlar
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      throw new Error('not an object');
+    }
+    return payload;
+  } catch (err) {
+    throw new Error('Invalid cursor parameter');
+  }
+}
+
+export { encodeCursor, decodeCursor };
@@ -24,12 +24,14 @@ export const ERROR_CODES = {
 
   // Image Upload Errors (1300-1399)
   IMAGE_FORMAT_INVALID: 'IMAGE_FORMAT_INVALID',
+  IMAGE_TYPE_MISMATCH: 'IMAGE_TYPE_MISMATCH',
   IMAGE_NO_FACE_DETECTED: 'IMAGE_NO_FACE_DETECTED',
   IMAGE_INAPPROPRIATE_CONTENT: 'IMAGE_INAPPROPRIATE_CONTENT',
   IMAGE_UPLOAD_FAILED: 'IMAGE_UPLOAD_FAILED',
   IMAGE_TOO_LARGE: 'IMAGE_TOO_LARGE',
   PHOTO_NOT_FOUND: 'PHOTO_NOT_FOUND',
   IMAGE_DELETE_FAILED: 'IMAGE_DELETE_FAILED',
+  VERIFICATION_CHALLENGE_INVALID: 'VERIFICATION_CHALLENGE_INVALID',
 
   // External Service Errors (1400-1499)
   GOOGLE_VISION_API_ERROR: 'GOOGLE_VISION_API_ERROR',
@@ -122,6 +124,10 @@ export const ERROR_MAPPINGS = {
     statusCode: 400,
     type: 'general_argument_invalid'
   },
+  [ERROR_CODES.IMAGE_TYPE_MISMATCH]: {
+    statusCode: 400,
+    type: 'general_argument_invalid'
+  },
   [ERROR_CODES.IMAGE_NO_FACE_DETECTED]: {
     statusCode: 400,
     type: 'general_argument_invalid'
@@ -146,6 +152,10 @@ export const ERROR_MAPPINGS = {
     statusCode: 500,
     type: 'processing_error'
   },
+  [ERROR_CODES.VERIFICATION_CHALLENGE_INVALID]: {
+    statusCode: 400,
+    type: 'general_argument_invalid'
+  },
 
   [ERROR_CODES.GOOGLE_VISION_API_ERROR]: {
     statusCode: 500,
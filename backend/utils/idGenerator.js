@@ -1,7 +1,7 @@
 /**
  * Generates deterministic, collision-resistant IDs for Appwrite documents
  * 
- * @param {string} type - Document type: 'like', 'match', 'dialog', 'block', 'dislike'
+ * @param {string} type - Document type: 'like', 'match', 'dialog', 'block', 'dislike', 'read', ...
  * @param {string} userId1 - First user ID
  * @param {string} userId2 - Second user ID  
  * @param {Object} options - Additional options
@@ -42,6 +42,8 @@ function generateDocumentId(type, userId1, userId2, options = {}) {
     'mute': { prefix: 'Mu', sorted: false },     // Directional
     'report': { prefix: 'Rp', sorted: false },   // Directional
     'view': { prefix: 'Vw', sorted: false },     // Directional
+    'read': { prefix: 'Rd', sorted: false },     // Directional (reader -> occupant dialog read cursor)
+    'reaction': { prefix: 'Rx', sorted: false }, // Directional (userId -> messageId)
   };
 
   const config = typeConfig[type];
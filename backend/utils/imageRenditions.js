@@ -0,0 +1,77 @@
+// imageRenditions.js
+import sharp from 'sharp';
+import { encode } from 'blurhash';
+
+// Yüklenen fotoğraftan üretilen boyutlar. thumbnail liste/sohbet önizlemesi,
+// card keşfet destesi, full tam ekran görüntüleme için.
+export const IMAGE_RENDITIONS = {
+  thumbnail: { width: 240, height: 240, fit: 'cover' },
+  card: { width: 720, height: 1080, fit: 'inside' },
+  full: { width: 1600, height: 1600, fit: 'inside' }
+};
+
+export const RENDITION_FORMAT = {
+  extension: 'webp',
+  contentType: 'image/webp',
+  // Erişimde okunur; modül dotenv yüklenmeden import ediliyor
+  get quality() {
+    return parseInt(process.env.IMAGE_RENDITION_QUALITY || '80');
+  }
+};
+
+/**
+ * S3 key of a rendition, derived from the upload's base key
+ * @example getRenditionKey('a1b2c3', 'card') // 'a1b2c3_card.webp'
+ */
+function getRenditionKey(baseKey, name) {
+  return `${baseKey}_${name}.${RENDITION_FORMAT.extension}`;
+}
+
+/**
+ * Generate every rendition from the source image. EXIF yönü uygulanır, küçük görseller büyütülmez.
+ * @param {Buffer} imageBuffer - Source image
+ * @returns {Promise<Object>} - { [name]: { buffer, width, height, size } }
+ */
+async function generateRenditions(imageBuffer) {
+  const entries = await Promise.all(
+    Object.entries(IMAGE_RENDITIONS).map(async ([name, spec]) => {
+      const { data, info } = await sharp(imageBuffer)
+        .rotate()
+        .resize({
+          width: spec.width,
+          height: spec.height,
+          fit: spec.fit,
+          withoutEnlargement: true
+        })
+        .webp({ quality: RENDITION_FORMAT.quality })
+        .toBuffer({ resolveWithObject: true });
+
+      return [name, { buffer: data, width: info.width, height: info.height, size: info.size }];
+    })
+  );
+
+  return Object.fromEntries(entries);
+}
+
+// BlurHash küçük bir örnekten hesaplanır; daha büyük girdi sonucu değiştirmez, sadece yavaşlatır
+const BLURHASH_SAMPLE_SIZE = 32;
+
+/**
+ * Compute a BlurHash placeholder so clients can paint the photo's colours before it loads.
+ * Uzun kenar boyunca 4, kısa kenar boyunca 3 bileşen kullanılır.
+ * @param {Buffer} imageBuffer - Source image
+ * @returns {Promise<string>} - BlurHash string (~28 chars)
+ */
+async function generateBlurHash(imageBuffer) {
+  const { data, info } = await sharp(imageBuffer)
+    .rotate()
+    .resize(BLURHASH_SAMPLE_SIZE, BLURHASH_SAMPLE_SIZE, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const landscape = info.width >= info.height;
+  return encode(new Uint8ClampedArray(data), info.width, info.height, landscape ? 4 : 3, landscape ? 3 : 4);
+}
+
+export { getRenditionKey, generateRenditions, generateBlurHash };
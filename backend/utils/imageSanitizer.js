@@ -0,0 +1,108 @@
+// imageSanitizer.js
+import sharp from 'sharp';
+import { fileTypeFromBuffer } from 'file-type';
+
+// İstemciler base64'ü bazen data URL olarak gönderiyor; önekteki tip "beyan edilen" tiptir
+const DATA_URL_PATTERN = /^data:([\w.+-]+\/[\w.+-]+);base64,/i;
+
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg'
+};
+
+// Temizlenen görsel kayıpsız kodlanır; tek kayıplı kodlama generateRenditions'ta yapılır.
+// JPEG kayıpsız yazılamadığı için JPEG ve WebP girdiler kayıpsız WebP'ye çevrilir
+const OUTPUT_FORMATS = {
+  'image/jpeg': { format: 'webp', options: { lossless: true }, mimeType: 'image/webp' },
+  'image/png': { format: 'png', options: {}, mimeType: 'image/png' },
+  'image/webp': { format: 'webp', options: { lossless: true }, mimeType: 'image/webp' }
+};
+
+function normalizeMimeType(mimeType) {
+  const lower = mimeType.toLowerCase();
+  return MIME_ALIASES[lower] || lower;
+}
+
+/**
+ * Split an upload payload into its declared MIME type (data URL prefix, if any) and raw bytes
+ */
+function decodeImagePayload(imageBase64) {
+  const match = imageBase64.match(DATA_URL_PATTERN);
+  return {
+    declaredMimeType: match ? normalizeMimeType(match[1]) : null,
+    buffer: Buffer.from(match ? imageBase64.slice(match[0].length) : imageBase64, 'base64')
+  };
+}
+
+/**
+ * Validate and sanitize an uploaded image before it goes anywhere else.
+ * Gerçek tip magic byte'lardan okunur, beyan edilen tiple uyuşmazsa reddedilir.
+ * Görsel kayıpsız yeniden kodlanır: EXIF yönü piksellere uygulanır, EXIF/GPS, XMP ve IPTC blokları atılır.
+ * @param {string} imageBase64 - Raw base64 or data URL
+ * @param {Object} config - Needs `allowedFormats`
+ * @returns {Promise<Object>} - { valid, buffer, mimeType, width, height } or { valid: false, error };
+ *   mimeType is the type of the sanitized buffer (PNG or lossless WebP)
+ */
+async function sanitizeImage(imageBase64, config) {
+  let payload;
+  let fileInfo;
+  try {
+    payload = decodeImagePayload(imageBase64);
+    fileInfo = await fileTypeFromBuffer(payload.buffer);
+  } catch (error) {
+    return {
+      valid: false,
+      error: {
+        code: 'IMAGE_PROCESSING_ERROR',
+        message: 'Failed to process image data'
+      }
+    };
+  }
+
+  if (!fileInfo || !config.allowedFormats.includes(fileInfo.mime) || !OUTPUT_FORMATS[fileInfo.mime]) {
+    return {
+      valid: false,
+      error: {
+        code: 'IMAGE_FORMAT_INVALID',
+        message: `Only ${config.allowedFormats.join(', ')} images are allowed`
+      }
+    };
+  }
+
+  if (payload.declaredMimeType && payload.declaredMimeType !== fileInfo.mime) {
+    return {
+      valid: false,
+      error: {
+        code: 'IMAGE_TYPE_MISMATCH',
+        message: `Declared type ${payload.declaredMimeType} does not match file content (${fileInfo.mime})`
+      }
+    };
+  }
+
+  try {
+    const { format, options, mimeType } = OUTPUT_FORMATS[fileInfo.mime];
+    // sharp, withMetadata() çağrılmadıkça çıktıya metadata yazmaz
+    const { data, info } = await sharp(payload.buffer, { failOn: 'error' })
+      .rotate()
+      .toFormat(format, options)
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      valid: true,
+      buffer: data,
+      mimeType,
+      width: info.width,
+      height: info.height
+    };
+  } catch (error) {
+    return {
+      valid: false,
+      error: {
+        code: 'IMAGE_PROCESSING_ERROR',
+        message: 'Failed to process image data'
+      }
+    };
+  }
+}
+
+export { decodeImagePayload, sanitizeImage };